@@ -1646,15 +1646,17 @@ export declare function getBuiltGraphSDK<TGlobalContext = any, TOperationContext
         first?: number;
         skip?: number;
     }>, options?: TOperationContext): Promise<StakeHistoryBetweenTwoDatesQueryQuery>;
-    TACoAuthHistoryQuery(variables?: Exact<{
+    TACoAuthHistoryQuery(variables: Exact<{
+        block: number;
         endTimestamp?: any;
         first?: number;
-        skip?: number;
+        lastId?: string;
     }>, options?: TOperationContext): Promise<TACoAuthHistoryQueryQuery>;
-    TACoOperators(variables?: Exact<{
+    TACoOperators(variables: Exact<{
+        block: number;
         endTimestamp?: any;
         first?: number;
-        skip?: number;
+        lastId?: string;
     }>, options?: TOperationContext): Promise<TACoOperatorsQuery>;
 };
 export type RBAuthHistoryQueryQueryVariables = Exact<{
@@ -1708,9 +1710,10 @@ export type StakeHistoryBetweenTwoDatesQueryQuery = {
     })>;
 };
 export type TACoAuthHistoryQueryQueryVariables = Exact<{
+    block: Scalars['Int'];
     endTimestamp?: InputMaybe<Scalars['BigInt']>;
     first?: InputMaybe<Scalars['Int']>;
-    skip?: InputMaybe<Scalars['Int']>;
+    lastId?: InputMaybe<Scalars['ID']>;
 }>;
 export type TACoAuthHistoryQueryQuery = {
     appAuthHistories: Array<(Pick<AppAuthHistory, 'id' | 'timestamp' | 'amount' | 'blockNumber' | 'eventType'> & {
@@ -1720,9 +1723,10 @@ export type TACoAuthHistoryQueryQuery = {
     })>;
 };
 export type TACoOperatorsQueryVariables = Exact<{
+    block: Scalars['Int'];
     endTimestamp?: InputMaybe<Scalars['BigInt']>;
     first?: InputMaybe<Scalars['Int']>;
-    skip?: InputMaybe<Scalars['Int']>;
+    lastId?: InputMaybe<Scalars['ID']>;
 }>;
 export type TACoOperatorsQuery = {
     tacoOperators: Array<Pick<TACoOperator, 'id' | 'operator' | 'confirmedTimestampFirstOperator'>>;
@@ -1752,14 +1756,16 @@ export declare const StakeHistoryBetweenTwoDatesQueryDocument: DocumentNode<Stak
     skip?: InputMaybe<Scalars['Int']>;
 }>>;
 export declare const TACoAuthHistoryQueryDocument: DocumentNode<TACoAuthHistoryQueryQuery, Exact<{
+    block: Scalars['Int'];
     endTimestamp?: InputMaybe<Scalars['BigInt']>;
     first?: InputMaybe<Scalars['Int']>;
-    skip?: InputMaybe<Scalars['Int']>;
+    lastId?: InputMaybe<Scalars['ID']>;
 }>>;
 export declare const TACoOperatorsDocument: DocumentNode<TACoOperatorsQuery, Exact<{
+    block: Scalars['Int'];
     endTimestamp?: InputMaybe<Scalars['BigInt']>;
     first?: InputMaybe<Scalars['Int']>;
-    skip?: InputMaybe<Scalars['Int']>;
+    lastId?: InputMaybe<Scalars['ID']>;
 }>>;
 export type Requester<C = {}, E = unknown> = <R, V>(doc: DocumentNode, vars?: V, options?: C) => Promise<R> | AsyncIterable<R>;
 export declare function getSdk<C, E>(requester: Requester<C, E>): {
@@ -1767,7 +1773,7 @@ export declare function getSdk<C, E>(requester: Requester<C, E>): {
     TbtcAuthHistoryQuery(variables?: TbtcAuthHistoryQueryQueryVariables, options?: C): Promise<TbtcAuthHistoryQueryQuery>;
     TACOAuthHistoryQuery(variables?: TACOAuthHistoryQueryQueryVariables, options?: C): Promise<TACOAuthHistoryQueryQuery>;
     StakeHistoryBetweenTwoDatesQuery(variables?: StakeHistoryBetweenTwoDatesQueryQueryVariables, options?: C): Promise<StakeHistoryBetweenTwoDatesQueryQuery>;
-    TACoAuthHistoryQuery(variables?: TACoAuthHistoryQueryQueryVariables, options?: C): Promise<TACoAuthHistoryQueryQuery>;
-    TACoOperators(variables?: TACoOperatorsQueryVariables, options?: C): Promise<TACoOperatorsQuery>;
+    TACoAuthHistoryQuery(variables: TACoAuthHistoryQueryQueryVariables, options?: C): Promise<TACoAuthHistoryQueryQuery>;
+    TACoOperators(variables: TACoOperatorsQueryVariables, options?: C): Promise<TACoOperatorsQuery>;
 };
 export type Sdk = ReturnType<typeof getSdk>;
@@ -280,11 +280,13 @@ exports.StakeHistoryBetweenTwoDatesQueryDocument = (0, utils_1.gql) `
 }
     `;
 exports.TACoAuthHistoryQueryDocument = (0, utils_1.gql) `
-    query TACoAuthHistoryQuery($endTimestamp: BigInt, $first: Int = 1000, $skip: Int = 0) {
+    query TACoAuthHistoryQuery($block: Int!, $endTimestamp: BigInt, $first: Int = 1000, $lastId: ID = "") {
   appAuthHistories(
-    where: {timestamp_lte: $endTimestamp, appAuthorization_: {appName: "TACo"}}
+    block: {number: $block}
+    where: {timestamp_lte: $endTimestamp, appAuthorization_: {appName: "TACo"}, id_gt: $lastId}
     first: $first
-    skip: $skip
+    orderBy: id
+    orderDirection: asc
   ) {
     id
     timestamp
@@ -301,11 +303,13 @@ exports.TACoAuthHistoryQueryDocument = (0, utils_1.gql) `
 }
     `;
 exports.TACoOperatorsDocument = (0, utils_1.gql) `
-    query TACoOperators($endTimestamp: BigInt, $first: Int = 1000, $skip: Int = 0) {
+    query TACoOperators($block: Int!, $endTimestamp: BigInt, $first: Int = 1000, $lastId: ID = "") {
   tacoOperators(
-    where: {confirmedTimestampFirstOperator_lte: $endTimestamp}
+    block: {number: $block}
+    where: {confirmedTimestampFirstOperator_lte: $endTimestamp, id_gt: $lastId}
     first: $first
-    skip: $skip
+    orderBy: id
+    orderDirection: asc
   ) {
     id
     operator
@@ -271,11 +271,13 @@ export const StakeHistoryBetweenTwoDatesQueryDocument = gql `
 }
     `;
 export const TACoAuthHistoryQueryDocument = gql `
-    query TACoAuthHistoryQuery($endTimestamp: BigInt, $first: Int = 1000, $skip: Int = 0) {
+    query TACoAuthHistoryQuery($block: Int!, $endTimestamp: BigInt, $first: Int = 1000, $lastId: ID = "") {
   appAuthHistories(
-    where: {timestamp_lte: $endTimestamp, appAuthorization_: {appName: "TACo"}}
+    block: {number: $block}
+    where: {timestamp_lte: $endTimestamp, appAuthorization_: {appName: "TACo"}, id_gt: $lastId}
     first: $first
-    skip: $skip
+    orderBy: id
+    orderDirection: asc
   ) {
     id
     timestamp
@@ -292,11 +294,13 @@ export const TACoAuthHistoryQueryDocument = gql `
 }
     `;
 export const TACoOperatorsDocument = gql `
-    query TACoOperators($endTimestamp: BigInt, $first: Int = 1000, $skip: Int = 0) {
+    query TACoOperators($block: Int!, $endTimestamp: BigInt, $first: Int = 1000, $lastId: ID = "") {
   tacoOperators(
-    where: {confirmedTimestampFirstOperator_lte: $endTimestamp}
+    block: {number: $block}
+    where: {confirmedTimestampFirstOperator_lte: $endTimestamp, id_gt: $lastId}
     first: $first
-    skip: $skip
+    orderBy: id
+    orderDirection: asc
   ) {
     id
     operator
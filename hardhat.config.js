@@ -4,6 +4,8 @@ require("hardhat-deploy")
 require("hardhat-ignore-warnings")
 require("dotenv").config()
 require("./src/tasks/claim_rewards")
+require("./src/tasks/claim_status")
+require("./src/tasks/verify_distribution")
 
 const { networks, etherscan } = require("./hardhat.networks")
 
@@ -10,14 +10,18 @@ function register(
   etherscanNetworkName,
   etherscanKey
 ) {
-  if (url && privateKey && etherscanKey) {
+  // The private key is optional: without it, the network can still be used
+  // to build unsigned transactions
+  if (url) {
     networks[name] = {
       url,
       chainId,
-      accounts: [privateKey],
+      accounts: privateKey ? [privateKey] : [],
       deploy,
     }
-    etherscan.apiKey[etherscanNetworkName] = etherscanKey
+    if (etherscanKey) {
+      etherscan.apiKey[etherscanNetworkName] = etherscanKey
+    }
     console.log(`Network '${name}' registered`)
   } else {
     console.log(`Network '${name}' not registered`)
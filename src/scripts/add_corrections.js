@@ -0,0 +1,63 @@
+// Script that ingests ad-hoc rewards (bonuses, grants or corrections for
+// under-paid stakes) to be included in the next distribution
+// Use: node src/scripts/add_corrections.js <file> [--dry-run]
+
+const { program } = require("commander")
+const {
+  parseCorrectionsFile,
+  validateCorrections,
+  addPendingCorrections,
+} = require("./utils/corrections.js")
+const {
+  TOTAL_INPUT_FILE,
+  getLatestDistribution,
+  readDistFile,
+} = require("./utils/distributions.js")
+const { getTotalAmount } = require("./utils/merkle_dist.js")
+
+program
+  .name("add-corrections")
+  .description(
+    "Add rewards corrections to be included in the next distribution"
+  )
+  .argument(
+    "<file>",
+    "CSV (stakingProvider,beneficiary,amount,reason) or JSON file"
+  )
+  .option("--dry-run", "validate the corrections without adding them")
+  .parse(process.argv)
+
+function main() {
+  const [file] = program.args
+  const options = program.opts()
+
+  let corrections
+  try {
+    corrections = parseCorrectionsFile(file)
+  } catch (err) {
+    console.error(`Error reading ${file}: ${err.message}`)
+    process.exitCode = 1
+    return
+  }
+
+  const latestInput = readDistFile(getLatestDistribution(), TOTAL_INPUT_FILE)
+  const result = validateCorrections(corrections, latestInput)
+  if (result.errors.length > 0) {
+    result.errors.forEach((error) => console.error(`Error: ${error}`))
+    process.exitCode = 1
+    return
+  }
+
+  console.log(
+    `${result.corrections.length} valid corrections, total amount ` +
+      getTotalAmount(result.corrections)
+  )
+  if (!options.dryRun) {
+    addPendingCorrections(result.corrections, file)
+    console.log(
+      "Corrections added, they will be included in the next distribution"
+    )
+  }
+}
+
+main()
@@ -0,0 +1,56 @@
+// Script that records debts of over-paid stakes, which are repaid by
+// withholding their future earned rewards, and reports the outstanding debts
+// Use: node src/scripts/deductions.js add <stakingProvider> <amount> <reason>
+//      node src/scripts/deductions.js status [--json]
+
+const { program } = require("commander")
+const {
+  readLedger,
+  addDebt,
+  getOutstandingDebts,
+} = require("./utils/deductions.js")
+
+program
+  .name("deductions")
+  .description("Manage the debts withheld from future rewards")
+
+program
+  .command("add")
+  .description("Record the debt of an over-paid stake")
+  .argument("<stakingProvider>", "staking provider address")
+  .argument("<amount>", "debt amount (T wei)")
+  .argument("<reason>", "reason of the debt")
+  .action((stakingProvider, amount, reason) => {
+    try {
+      const entry = addDebt(stakingProvider, amount, reason)
+      console.log(
+        `Debt of ${entry.amount} recorded for ${entry.stakingProvider}, it ` +
+          "will be withheld from the next distributions"
+      )
+    } catch (err) {
+      console.error(`Error: ${err.message}`)
+      process.exitCode = 1
+    }
+  })
+
+program
+  .command("status")
+  .description("Print the outstanding debt of each staking provider")
+  .option("--json", "print the outstanding debts in JSON format")
+  .action((options) => {
+    const debts = getOutstandingDebts(readLedger())
+    if (options.json) {
+      console.log(JSON.stringify(debts, null, 4))
+    } else if (Object.keys(debts).length === 0) {
+      console.log("No outstanding debts")
+    } else {
+      console.table(
+        Object.entries(debts).map(([stakingProvider, outstanding]) => ({
+          stakingProvider,
+          outstanding,
+        }))
+      )
+    }
+  })
+
+program.parse(process.argv)
@@ -1,118 +1,252 @@
 // Script that generates a new Merkle Distribution for rewards and outputs the
 // data to JSON files
-// Use: node src/scripts/gen_merkle_dist.js
+// Use: node src/scripts/gen_rewards_dist.js --help
 
 require("dotenv").config()
 const fs = require("fs")
-const shell = require("shelljs")
-const BigNumber = require("bignumber.js")
+const { program } = require("commander")
 const MerkleDist = require("./utils/merkle_dist.js")
-const { getTACoRewards } = require("./utils/taco-rewards.js")
-
-// The following parameters must be modified for each distribution
-const tacoWeight = 0.25
-const tbtcv2Weight = 0.75
-const startTime = new Date("2024-10-01T00:00:00+00:00").getTime() / 1000
-const endTime = new Date("2024-11-01T00:00:00+00:00").getTime() / 1000
-const lastDistribution = "2024-10-01"
-// tBTC valid versions and deadlines (if any) sorted from latests to oldest.
-// Example: v2.1.x is the current version, v2.0.x is valid until 2024-06-01:
-// v2.1.0|v2.0.0_1717200000
-// Note that we only care about major and minor versions, so not updating to a
-// new patch version will not disqualify the stake for rewards.
-const tbtcValidVersions = "v2.1.0"
+const {
+  getRewardSources,
+  getSourceParams,
+} = require("./utils/reward-sources/index.js")
+const { resolveDistParams, writeDistParams } = require("./utils/dist-params.js")
+const {
+  POLYGON_CHAIN_ID,
+  getBlockByTimestamp,
+} = require("./utils/etherscan.js")
+const { writeManifest } = require("./utils/manifest.js")
+const { EARNED_REWARDS_PATH } = require("./utils/distributions.js")
+const {
+  checkCumulativeAmounts,
+  formatCheckErrors,
+} = require("./utils/monotonicity.js")
+const {
+  detectBeneficiaryChanges,
+  addUnclaimedAmounts,
+  readAllowlist,
+  getUnacknowledgedChanges,
+} = require("./utils/beneficiary-changes.js")
+const { getClaimedAmountQuery } = require("./utils/claimed-amounts.js")
+const {
+  readLedger,
+  getOutstandingDebts,
+  withholdEarnedRewards,
+  writeDeductions,
+  recordDeductions,
+} = require("./utils/deductions.js")
 
 const etherscanApiKey = process.env.ETHERSCAN_TOKEN
-const tbtcv2ScriptPath = "src/scripts/tbtcv2-rewards/"
+const mainnetRpcUrl = process.env.MAINNET_RPC_URL
+
+program
+  .description(
+    "Generate a new Merkle distribution adding the rewards earned in a " +
+      "period to the previous distribution"
+  )
+  .option(
+    "-c, --config <file>",
+    "JSON file with the distribution parameters (command line options " +
+      "take precedence)"
+  )
+  .option(
+    "-s, --start-date <YYYY-MM-DD>",
+    "rewards period start date (default: base distribution date)"
+  )
+  .option("-e, --end-date <YYYY-MM-DD>", "rewards period end date")
+  .option(
+    "-l, --last-distribution <YYYY-MM-DD>",
+    "base distribution (default: latest distribution)"
+  )
+  .option(
+    "--ack-beneficiary-changes",
+    "acknowledge all the beneficiary changes since the base distribution"
+  )
+  .option(
+    "--beneficiary-allowlist <file>",
+    "JSON file with the acknowledged new beneficiary of each staking provider"
+  )
+getSourceParams().forEach((param) =>
+  program.option(param.flags, param.description)
+)
+program.parse(process.argv)
 
 async function main() {
-  if (!etherscanApiKey) {
-    console.error("Error: no ETHERSCAN_TOKEN in environment variables")
+  let params
+  try {
+    params = resolveDistParams(program.opts())
+  } catch (err) {
+    console.error(`Error: ${err.message}`)
+    process.exitCode = 1
     return
   }
+  const { startTime, endTime, lastDistribution } = params
+  console.log("Distribution parameters:", params)
 
-  let earnedTACoRewards = {}
-  let earnedTbtcv2Rewards = {}
-  let bonusRewards = {}
-  let tacoRewards = {}
-  let tbtcv2Rewards = {}
-  const endDate = new Date(endTime * 1000).toISOString().slice(0, 10)
+  const endDate = params.endDate
   const distPath = `distributions/${endDate}`
   const distributionsFilePath = "distributions/distributions.json"
-  const tbtcv2RewardsDetailsPath = `${distPath}/tBTCv2-rewards-details/`
   const lastDistPath = `distributions/${lastDistribution}`
-  const tbtcv2Script =
-    "./rewards.sh " +
-    `--rewards-start-date ${startTime} ` +
-    `--rewards-end-date ${endTime} ` +
-    `--etherscan-token ${etherscanApiKey} ` +
-    `--rewards-details-path ../../../${tbtcv2RewardsDetailsPath} ` +
-    `--valid-versions "${tbtcValidVersions}"`
+  // The distribution is built in a temporary folder that is renamed once all
+  // the checks pass, so a failed run doesn't leave a partial distribution
+  const buildPath = `distributions/.tmp-${endDate}`
 
+  if (fs.existsSync(distPath)) {
+    console.error(`Error: distribution ${endDate} already exists`)
+    process.exitCode = 1
+    return
+  }
+
+  // Blocks used as period boundaries, recorded in the manifest. Subgraph
+  // queries are pinned to the end blocks so the dataset is fixed. When
+  // replaying recorded source data, its boundaries are used instead
+  let cutoffs = getRewardSources()
+    .map((source) => source.getCutoffs && source.getCutoffs(params))
+    .find((sourceCutoffs) => sourceCutoffs)
+  if (!cutoffs && !etherscanApiKey) {
+    console.error("Error: no ETHERSCAN_TOKEN in environment variables")
+    process.exitCode = 1
+    return
+  }
   try {
-    fs.mkdirSync(distPath)
-    fs.mkdirSync(tbtcv2RewardsDetailsPath)
+    cutoffs = cutoffs || {
+      startBlock: await getBlockByTimestamp(startTime, etherscanApiKey),
+      endBlock: await getBlockByTimestamp(endTime, etherscanApiKey),
+      polygonEndBlock: await getBlockByTimestamp(
+        endTime,
+        etherscanApiKey,
+        POLYGON_CHAIN_ID
+      ),
+    }
   } catch (err) {
     console.error(err)
+    process.exitCode = 1
     return
   }
 
-  // TACo rewards calculation
-  if (tacoWeight > 0) {
-    earnedTACoRewards = await getTACoRewards(startTime, endTime, tacoWeight)
-    console.log("TACo rewards earned:", earnedTACoRewards)
+  try {
+    fs.rmSync(buildPath, { recursive: true, force: true })
+    fs.mkdirSync(buildPath)
+    writeDistParams(buildPath, params)
+  } catch (err) {
+    console.error(err)
+    process.exitCode = 1
+    return
   }
 
-  // tBTCv2 rewards calculation
-  if (tbtcv2Weight > 0) {
-    console.log("Calculating tBTCv2 rewards...")
-    shell.exec(`cd ${tbtcv2ScriptPath} && ${tbtcv2Script}`)
-    const tbtcv2RewardsRaw = JSON.parse(
-      fs.readFileSync("./src/scripts/tbtcv2-rewards/rewards.json")
-    )
-    earnedTbtcv2Rewards = calculateTbtcv2Rewards(tbtcv2RewardsRaw, tbtcv2Weight)
-    console.log("tBTCv2 rewards earned:", earnedTbtcv2Rewards)
+  // Rewards earned in the period by each rewards source
+  const context = {
+    ...params,
+    distPath: buildPath,
+    etherscanApiKey,
+    mainnetRpcUrl,
+    cutoffs,
   }
-
-  // Add rewards earned to cumulative totals
+  const sources = {}
   try {
-    bonusRewards = JSON.parse(
-      fs.readFileSync(`${lastDistPath}/MerkleInputBonusRewards.json`)
-    )
-    fs.writeFileSync(
-      distPath + "/MerkleInputBonusRewards.json",
-      JSON.stringify(bonusRewards, null, 4)
-    )
-    tacoRewards = JSON.parse(
-      fs.readFileSync(`${lastDistPath}/MerkleInputTACoRewards.json`)
-    )
-    tacoRewards = MerkleDist.combineMerkleInputs(tacoRewards, earnedTACoRewards)
-    fs.writeFileSync(
-      distPath + "/MerkleInputTACoRewards.json",
-      JSON.stringify(tacoRewards, null, 4)
-    )
-    if (fs.existsSync(`${lastDistPath}/MerkleInputTbtcv2Rewards.json`)) {
-      tbtcv2Rewards = JSON.parse(
-        fs.readFileSync(`${lastDistPath}/MerkleInputTbtcv2Rewards.json`)
-      )
-    } else {
-      tbtcv2Rewards = {}
+    for (const source of getRewardSources()) {
+      const weight = source.weightParam ? params[source.weightParam] : undefined
+      let earned = {}
+      if (source.getEarnedRewards && (!source.weightParam || weight > 0)) {
+        console.log(`Calculating ${source.name} rewards...`)
+        earned = await source.getEarnedRewards({ ...context, weight })
+        console.log(`${source.name} rewards earned:`, earned)
+      }
+      sources[source.name] = { inputFile: source.inputFile, weight, earned }
     }
-    tbtcv2Rewards = MerkleDist.combineMerkleInputs(
-      tbtcv2Rewards,
-      earnedTbtcv2Rewards
-    )
-    fs.writeFileSync(
-      distPath + "/MerkleInputTbtcv2Rewards.json",
-      JSON.stringify(tbtcv2Rewards, null, 4)
+  } catch (err) {
+    // Nothing was checked yet, so the partial distribution is of no use
+    console.error(err)
+    fs.rmSync(buildPath, { recursive: true, force: true })
+    process.exitCode = 1
+    return
+  }
+
+  // Withhold the rewards earned by stakes with outstanding debt until it's
+  // repaid
+  const withholding = withholdEarnedRewards(
+    Object.fromEntries(
+      Object.entries(sources).map(([name, source]) => [name, source.earned])
+    ),
+    getOutstandingDebts(readLedger())
+  )
+  Object.entries(withholding.earned).forEach(([name, earned]) => {
+    sources[name].earned = earned
+  })
+  withholding.deductions.forEach((deduction) =>
+    console.log(
+      `Withheld ${deduction.withheld} from ${deduction.stakingProvider}, ` +
+        `${deduction.outstandingAfter} outstanding`
     )
+  )
+
+  // Add rewards earned to the cumulative totals of each source, and combine
+  // all the sources. The rewards earned are recorded too, so the distribution
+  // can be reproduced
+  let merkleInput = {}
+  try {
+    fs.mkdirSync(`${buildPath}/${EARNED_REWARDS_PATH}`)
+    Object.values(sources).forEach((source) => {
+      const lastInputPath = `${lastDistPath}/${source.inputFile}`
+      const lastInput = fs.existsSync(lastInputPath)
+        ? JSON.parse(fs.readFileSync(lastInputPath))
+        : {}
+      source.cumulative = MerkleDist.combineMerkleInputs(
+        lastInput,
+        source.earned
+      )
+      // Sources that have never earned rewards don't have an input file
+      if (fs.existsSync(lastInputPath) || Object.keys(source.earned).length) {
+        fs.writeFileSync(
+          `${buildPath}/${source.inputFile}`,
+          JSON.stringify(source.cumulative, null, 4)
+        )
+        fs.writeFileSync(
+          `${buildPath}/${EARNED_REWARDS_PATH}/${source.inputFile}`,
+          JSON.stringify(source.earned, null, 4)
+        )
+      }
+      merkleInput = MerkleDist.combineMerkleInputs(
+        merkleInput,
+        source.cumulative
+      )
+    })
   } catch (err) {
     console.error(err)
+    process.exitCode = 1
     return
   }
 
-  let merkleInput = MerkleDist.combineMerkleInputs(bonusRewards, tacoRewards)
-  merkleInput = MerkleDist.combineMerkleInputs(merkleInput, tbtcv2Rewards)
+  // Check that no cumulative amount decreases with respect to the previous
+  // distribution, since those stakes wouldn't be able to claim
+  const lastMerkleInput = JSON.parse(
+    fs.readFileSync(`${lastDistPath}/MerkleInputTotalRewards.json`)
+  )
+  const checkResult = checkCumulativeAmounts(
+    lastMerkleInput,
+    merkleInput,
+    Object.values(sources).map((source) => source.earned)
+  )
+  if (!checkResult.valid) {
+    console.error("Error: cumulative amounts check failed")
+    formatCheckErrors(checkResult).forEach((error) => console.error(error))
+    process.exitCode = 1
+    return
+  }
+
+  // The cumulative amount is claimed by the latest beneficiary, so every
+  // beneficiary change must be acknowledged
+  const beneficiaryChanges = detectBeneficiaryChanges(
+    lastMerkleInput,
+    merkleInput
+  )
+  if (beneficiaryChanges.length > 0) {
+    const ok = await checkBeneficiaryChanges(buildPath, beneficiaryChanges)
+    if (!ok) {
+      process.exitCode = 1
+      return
+    }
+  }
 
   // Generate the Merkle distribution
   const merkleDist = MerkleDist.genMerkleDist(merkleInput)
@@ -120,15 +254,33 @@ async function main() {
   // Write the Merkle distribution to JSON file
   try {
     fs.writeFileSync(
-      distPath + "/MerkleInputTotalRewards.json",
+      buildPath + "/MerkleInputTotalRewards.json",
       JSON.stringify(merkleInput, null, 4)
     )
     fs.writeFileSync(
-      distPath + "/MerkleDist.json",
+      buildPath + "/MerkleDist.json",
       JSON.stringify(merkleDist, null, 4)
     )
   } catch (err) {
     console.error(err)
+    process.exitCode = 1
+    return
+  }
+
+  // Write the manifest describing how the distribution was generated, and
+  // move the distribution to its folder
+  try {
+    for (const source of getRewardSources()) {
+      if (source.afterGeneration) {
+        await source.afterGeneration(context)
+      }
+    }
+    writeDeductions(buildPath, withholding.deductions)
+    await writeManifest(buildPath, params, cutoffs, sources)
+    fs.renameSync(buildPath, distPath)
+  } catch (err) {
+    console.error(err)
+    process.exitCode = 1
     return
   }
 
@@ -140,18 +292,68 @@ async function main() {
     distributionsFilePath,
     JSON.stringify(distributions, null, 4)
   )
+
+  // The data shared by all the distributions is only updated once this one
+  // is published, so a failed run can be repeated
+  try {
+    for (const source of getRewardSources()) {
+      if (source.afterPublication) {
+        await source.afterPublication({ ...context, distPath })
+      }
+    }
+    recordDeductions(distPath, endDate)
+  } catch (err) {
+    console.error(err)
+    console.error(`Error: distribution ${endDate} was published, but the`)
+    console.error("corrections and deductions shared data couldn't be updated")
+    process.exitCode = 1
+  }
 }
 
 //
-// Calculate the tBTCv2 weighted rewards earned by each stake
+// Write the beneficiary changes to a file and check that they are
+// acknowledged, either all of them by flag or one by one in the allowlist
 //
-function calculateTbtcv2Rewards(stakes, weight) {
-  Object.keys(stakes).map((stakingProvider) => {
-    const amount = BigNumber(stakes[stakingProvider].amount)
-    const weightedReward = amount.times(weight)
-    stakes[stakingProvider].amount = weightedReward.toFixed(0)
-  })
-  return stakes
+async function checkBeneficiaryChanges(distPath, changes) {
+  const options = program.opts()
+  if (mainnetRpcUrl) {
+    await addUnclaimedAmounts(changes, getClaimedAmountQuery(mainnetRpcUrl))
+  } else {
+    console.warn("No MAINNET_RPC_URL, unclaimed amounts can't be calculated")
+  }
+  fs.writeFileSync(
+    `${distPath}/beneficiary-changes.json`,
+    JSON.stringify(changes, null, 4)
+  )
+  console.log(
+    `${changes.length} beneficiary changes written to ` +
+      `${distPath}/beneficiary-changes.json`
+  )
+
+  if (options.ackBeneficiaryChanges) {
+    return true
+  }
+  const allowlist = options.beneficiaryAllowlist
+    ? readAllowlist(options.beneficiaryAllowlist)
+    : {}
+  const unacknowledged = getUnacknowledgedChanges(changes, allowlist)
+  if (unacknowledged.length > 0) {
+    console.error("Error: unacknowledged beneficiary changes:")
+    unacknowledged.forEach((change) =>
+      console.error(
+        `${change.stakingProvider}: ${change.previousBeneficiary} -> ` +
+          `${change.newBeneficiary}`
+      )
+    )
+    console.error(
+      "Use --ack-beneficiary-changes or --beneficiary-allowlist to proceed"
+    )
+    return false
+  }
+  return true
 }
 
-main()
+main().catch((err) => {
+  console.error(err)
+  process.exitCode = 1
+})
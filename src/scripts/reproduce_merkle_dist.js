@@ -0,0 +1,100 @@
+// Script that re-derives a past Merkle distribution from its rewards sources
+// inputs and the previous distribution, and checks that the result matches the
+// published distribution
+// Use: node src/scripts/reproduce_merkle_dist.js <YYYY-MM-DD>
+
+const { program } = require("commander")
+const { reproduceDist } = require("./utils/reproduce.js")
+const { printCheck } = require("./utils/report.js")
+
+program
+  .name("reproduce")
+  .description(
+    "Re-derive a past distribution and compare it with the published one"
+  )
+  .argument("<date>", "distribution date (YYYY-MM-DD)")
+  .option("--json", "print the report in JSON format")
+  .parse(process.argv)
+
+function main() {
+  const [date] = program.args
+  const options = program.opts()
+
+  let report
+  try {
+    report = reproduceDist(date)
+  } catch (err) {
+    console.error(`Error: ${err.message}`)
+    process.exitCode = 1
+    return
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 4))
+  } else {
+    console.log(`Distribution: ${report.distribution}`)
+    console.log(`Previous distribution: ${report.previousDistribution}`)
+    report.sources.forEach((source) => {
+      printCheck(
+        `Rewards source ${source.inputFile}`,
+        source.matches,
+        source.earnedRecorded
+          ? "combined from the recorded rewards earned"
+          : "rewards earned not recorded, only checked against the previous " +
+              "distribution"
+      )
+      source.input.mismatched
+        .concat(source.input.missing, source.input.unexpected)
+        .forEach((stakingProvider) =>
+          console.log(`  - ${stakingProvider} doesn't match`)
+        )
+      source.decreased.forEach((stakingProvider) =>
+        console.log(`  - ${stakingProvider} amount decreased`)
+      )
+      source.dropped.forEach((stakingProvider) =>
+        console.log(`  - ${stakingProvider} dropped`)
+      )
+    })
+    const { merkleRoot, totalAmount, totalInput, claims } = report
+    printCheck(
+      "Merkle root",
+      merkleRoot.matches,
+      merkleRoot.matches
+        ? merkleRoot.expected
+        : `expected ${merkleRoot.expected}, got ${merkleRoot.reproduced}`
+    )
+    printCheck(
+      "Total amount",
+      totalAmount.matches,
+      totalAmount.matches
+        ? totalAmount.expected
+        : `expected ${totalAmount.expected}, got ${totalAmount.reproduced}`
+    )
+    ;[
+      ["Total rewards input", totalInput],
+      ["Claims", claims],
+    ].forEach(([name, result]) => {
+      printCheck(
+        name,
+        result.matches,
+        `${result.count} expected, ${result.mismatched.length} mismatched, ` +
+          `${result.missing.length} missing, ` +
+          `${result.unexpected.length} unexpected`
+      )
+      result.mismatched
+        .concat(result.missing, result.unexpected)
+        .forEach((stakingProvider) => console.log(`  - ${stakingProvider}`))
+    })
+    console.log(
+      report.matches
+        ? "Distribution reproduced successfully"
+        : "Distribution could not be reproduced"
+    )
+  }
+
+  if (!report.matches) {
+    process.exitCode = 1
+  }
+}
+
+main()
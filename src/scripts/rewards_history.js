@@ -0,0 +1,43 @@
+// Script that reports the rewards earned by the staking providers in each
+// distribution, split by rewards source
+// Use: node src/scripts/rewards_history.js [--staking-provider <address...>]
+//        [--format <csv|json>] [--output <file>]
+
+const fs = require("fs")
+const { program } = require("commander")
+const { getRewardsHistory, toCsv } = require("./utils/rewards-history.js")
+
+program
+  .name("rewards-history")
+  .description("Report the rewards earned in each distribution by source")
+  .option(
+    "-p, --staking-provider <address...>",
+    "staking providers to include (all of them by default)"
+  )
+  .option("-f, --format <format>", "output format: csv or json", "csv")
+  .option("-o, --output <file>", "write the report to a file")
+  .parse(process.argv)
+
+function main() {
+  const options = program.opts()
+  if (!["csv", "json"].includes(options.format)) {
+    console.error(`Error: unknown format ${options.format}`)
+    process.exitCode = 1
+    return
+  }
+
+  const history = getRewardsHistory(options.stakingProvider)
+  const content =
+    options.format === "csv"
+      ? toCsv(history)
+      : JSON.stringify(history, null, 4) + "\n"
+
+  if (options.output) {
+    fs.writeFileSync(options.output, content)
+    console.log(`Rewards history written to ${options.output}`)
+  } else {
+    process.stdout.write(content)
+  }
+}
+
+main()
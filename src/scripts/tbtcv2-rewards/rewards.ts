@@ -28,9 +28,10 @@ import {
   OPERATORS_SEARCH_QUERY_STEP,
   QUERY_RESOLUTION,
   HUNDRED,
-  APR,
   SECONDS_IN_YEAR,
 } from "./rewards-constants"
+// Rewards policy shared with the other rewards calculations
+const { getAPRSchedule, splitByAPR } = require("../utils/rewards-policy.js")
 
 program
   .version("0.0.1")
@@ -105,8 +106,19 @@ export async function calculateRewards() {
 
   const rewardsInterval = endRewardsTimestamp - startRewardsTimestamp
   // periodic rate rounded and adjusted because BigNumber can't operate on floating numbers.
+  // The APR of the rewards policy is applied pro-rata if it changes within
+  // the rewards interval
+  const aprIntervals: { apr: number; duration: number }[] = splitByAPR(
+    getAPRSchedule("tbtcv2"),
+    startRewardsTimestamp,
+    endRewardsTimestamp
+  )
   const periodicRate = Math.round(
-    APR * (rewardsInterval / SECONDS_IN_YEAR) * PRECISION
+    aprIntervals.reduce(
+      (rate, interval) =>
+        rate + (interval.apr * interval.duration) / SECONDS_IN_YEAR,
+      0
+    ) * PRECISION
   )
   const currentBlockNumber = await provider.getBlockNumber()
 
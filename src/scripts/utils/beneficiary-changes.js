@@ -0,0 +1,79 @@
+const fs = require("fs")
+const BigNumber = require("bignumber.js")
+
+/**
+ * Detect the staking providers whose beneficiary changed between the previous
+ * and the new total rewards inputs. Since the cumulative amount is claimed by
+ * the latest beneficiary, the unclaimed balance moves to the new address
+ * @param {Object} prevMerkleInput  Total rewards input of the previous
+ *                                  distribution
+ * @param {Object} merkleInput      Total rewards input of the new distribution
+ * @return {Object[]}               Beneficiary changes: staking provider,
+ *                                  previous and new beneficiaries, and
+ *                                  previous and new cumulative amounts
+ */
+exports.detectBeneficiaryChanges = function (prevMerkleInput, merkleInput) {
+  return Object.keys(merkleInput)
+    .filter(
+      (stakingProvider) =>
+        prevMerkleInput[stakingProvider] &&
+        prevMerkleInput[stakingProvider].beneficiary.toLowerCase() !==
+          merkleInput[stakingProvider].beneficiary.toLowerCase()
+    )
+    .map((stakingProvider) => ({
+      stakingProvider,
+      previousBeneficiary: prevMerkleInput[stakingProvider].beneficiary,
+      newBeneficiary: merkleInput[stakingProvider].beneficiary,
+      previousCumulativeAmount: prevMerkleInput[stakingProvider].amount,
+      newCumulativeAmount: merkleInput[stakingProvider].amount,
+    }))
+}
+
+/**
+ * Add to each beneficiary change the unclaimed balance that moves to the new
+ * beneficiary: the new cumulative amount minus the amount already claimed
+ * @param {Object[]} changes        Beneficiary changes
+ * @param {Function} getClaimed     Async function returning the amount
+ *                                  claimed by a staking provider
+ * @return {Object[]}               Beneficiary changes with unclaimed amounts
+ */
+exports.addUnclaimedAmounts = async function (changes, getClaimed) {
+  for (const change of changes) {
+    const claimed = await getClaimed(change.stakingProvider)
+    change.claimedAmount = claimed.toString()
+    change.unclaimedAmount = BigNumber(change.newCumulativeAmount)
+      .minus(change.claimedAmount)
+      .toFixed()
+  }
+  return changes
+}
+
+/**
+ * Read an allowlist of acknowledged beneficiary changes: a JSON object with
+ * the new beneficiary of each staking provider
+ * @param {String} filePath         Allowlist file path
+ * @return {Object}                 New beneficiary by staking provider
+ */
+exports.readAllowlist = function (filePath) {
+  const allowlist = JSON.parse(fs.readFileSync(filePath))
+  return Object.fromEntries(
+    Object.entries(allowlist).map(([stakingProvider, beneficiary]) => [
+      stakingProvider.toLowerCase(),
+      beneficiary.toLowerCase(),
+    ])
+  )
+}
+
+/**
+ * Return the beneficiary changes that are not acknowledged by the allowlist
+ * @param {Object[]} changes        Beneficiary changes
+ * @param {Object} allowlist        New beneficiary by staking provider
+ * @return {Object[]}               Unacknowledged beneficiary changes
+ */
+exports.getUnacknowledgedChanges = function (changes, allowlist) {
+  return changes.filter(
+    (change) =>
+      allowlist[change.stakingProvider.toLowerCase()] !==
+      change.newBeneficiary.toLowerCase()
+  )
+}
@@ -0,0 +1,20 @@
+const { ethers } = require("ethers")
+const {
+  getDeployedRewardsContract,
+} = require("../../tasks/utils/rewards-contract.js")
+
+/**
+ * Return a function that queries the Merkle rewards already claimed by a
+ * staking provider in the mainnet rewards contract: RewardsAggregator if
+ * deployed, the legacy CumulativeMerkleDrop otherwise
+ * @param {String} rpcUrl           Ethereum mainnet RPC URL
+ * @return {Function}               Async function returning the claimed
+ *                                  amount (BigNumber) of a staking provider
+ */
+exports.getClaimedAmountQuery = function (rpcUrl) {
+  const rewardsContract = getDeployedRewardsContract(
+    "mainnet",
+    new ethers.providers.JsonRpcProvider(rpcUrl)
+  )
+  return (stakingProvider) => rewardsContract.cumulativeClaimed(stakingProvider)
+}
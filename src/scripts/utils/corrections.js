@@ -0,0 +1,206 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const { ethers } = require("ethers")
+const BigNumber = require("bignumber.js")
+const { DISTRIBUTIONS_PATH } = require("./distributions.js")
+
+const CORRECTIONS_PATH = path.join(DISTRIBUTIONS_PATH, "corrections")
+const PENDING_FILE_PATH = path.join(CORRECTIONS_PATH, "pending.json")
+const AUDIT_FILE_PATH = path.join(CORRECTIONS_PATH, "audit.json")
+const FIELDS = ["stakingProvider", "beneficiary", "amount", "reason"]
+
+//
+// Read a JSON file, returning the default value if it doesn't exist
+//
+function readJson(filePath, defaultValue) {
+  if (!fs.existsSync(filePath)) {
+    return defaultValue
+  }
+  return JSON.parse(fs.readFileSync(filePath))
+}
+
+//
+// Write a JSON file, creating its folder if needed
+//
+function writeJson(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, JSON.stringify(content, null, 4))
+}
+
+//
+// Parse a CSV with a header row including the correction fields. The reason is
+// the last column, so it can contain commas
+//
+function parseCsv(content) {
+  const [header, ...lines] = content
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "")
+  const columns = header.split(",").map((column) => column.trim())
+  if (FIELDS.some((field, i) => columns[i] !== field)) {
+    throw new Error(`CSV header must be: ${FIELDS.join(",")}`)
+  }
+  return lines.map((line) => {
+    const values = line.split(",")
+    const reason = values.slice(FIELDS.length - 1).join(",")
+    return {
+      stakingProvider: values[0].trim(),
+      beneficiary: values[1].trim(),
+      amount: values[2].trim(),
+      reason: reason.trim().replace(/^"(.*)"$/, "$1"),
+    }
+  })
+}
+
+/**
+ * Parse a corrections file: a CSV (stakingProvider,beneficiary,amount,reason
+ * header) or a JSON array of objects with these fields
+ * @param {String} filePath         Corrections file path
+ * @return {Object[]}               Corrections
+ */
+exports.parseCorrectionsFile = function (filePath) {
+  const content = fs.readFileSync(filePath, "utf8")
+  return path.extname(filePath).toLowerCase() === ".csv"
+    ? parseCsv(content)
+    : JSON.parse(content)
+}
+
+/**
+ * Validate corrections: staking provider and beneficiary must be valid
+ * addresses, the amount a positive integer (T wei), and the reason not empty.
+ * The beneficiary must match the one of the stake in the latest distribution
+ * @param {Object[]} corrections    Corrections to validate
+ * @param {Object} latestInput      Total rewards input of the latest
+ *                                  distribution
+ * @return {Object}                 Corrections with checksummed addresses and
+ *                                  validation errors
+ */
+exports.validateCorrections = function (corrections, latestInput) {
+  const errors = []
+  const validated = corrections.map((correction, i) => {
+    const entry = `Correction ${i + 1}`
+    const normalized = { ...correction }
+    ;["stakingProvider", "beneficiary"].forEach((field) => {
+      if (!ethers.utils.isAddress(correction[field] || "")) {
+        errors.push(`${entry}: invalid ${field} "${correction[field]}"`)
+      } else {
+        normalized[field] = ethers.utils.getAddress(correction[field])
+      }
+    })
+    if (
+      !/^\d+$/.test(correction.amount) ||
+      BigNumber(correction.amount).eq(0)
+    ) {
+      errors.push(`${entry}: amount must be a positive integer (T wei)`)
+    }
+    if (!correction.reason || !String(correction.reason).trim()) {
+      errors.push(`${entry}: a reason must be provided`)
+    }
+    const stake = latestInput[normalized.stakingProvider]
+    if (stake && stake.beneficiary !== normalized.beneficiary) {
+      errors.push(
+        `${entry}: beneficiary doesn't match the current one ` +
+          `(${stake.beneficiary})`
+      )
+    }
+    return normalized
+  })
+  return { corrections: validated, errors }
+}
+
+/**
+ * Add corrections to the pending ones, to be included in the next
+ * distribution, and record the ingestion in the audit trail
+ * @param {Object[]} corrections    Validated corrections
+ * @param {String} sourceFile       File the corrections were read from
+ */
+exports.addPendingCorrections = function (corrections, sourceFile) {
+  const ingestedAt = new Date().toISOString()
+  const entries = corrections.map((correction) => ({
+    ...correction,
+    ingestedAt,
+  }))
+  writeJson(PENDING_FILE_PATH, exports.readPendingCorrections().concat(entries))
+
+  const audit = readJson(AUDIT_FILE_PATH, [])
+  audit.push({
+    action: "ingested",
+    date: ingestedAt,
+    sourceFile: path.basename(sourceFile),
+    sourceFileHash:
+      "0x" +
+      crypto
+        .createHash("sha256")
+        .update(fs.readFileSync(sourceFile))
+        .digest("hex"),
+    corrections: entries,
+  })
+  writeJson(AUDIT_FILE_PATH, audit)
+}
+
+/**
+ * Return the corrections pending to be included in a distribution
+ * @return {Object[]}               Pending corrections
+ */
+exports.readPendingCorrections = function () {
+  return readJson(PENDING_FILE_PATH, [])
+}
+
+/**
+ * Build the Merkle input of the rewards added by the corrections
+ * @param {Object[]} corrections    Corrections
+ * @return {Object}                 Merkle input
+ */
+exports.getCorrectionsInput = function (corrections) {
+  return corrections.reduce((input, correction) => {
+    const current = input[correction.stakingProvider]
+    input[correction.stakingProvider] = {
+      beneficiary: correction.beneficiary,
+      amount: BigNumber(current ? current.amount : 0)
+        .plus(correction.amount)
+        .toFixed(),
+    }
+    return input
+  }, {})
+}
+
+/**
+ * Write the pending corrections to the folder of the distribution that
+ * includes them
+ * @param {String} distPath         Distribution folder path
+ */
+exports.writePendingCorrections = function (distPath) {
+  const corrections = exports.readPendingCorrections()
+  if (corrections.length > 0) {
+    writeJson(path.join(distPath, "corrections.json"), corrections)
+  }
+}
+
+/**
+ * Mark the corrections included in a published distribution as applied: they
+ * are recorded in the audit trail and removed from the pending ones
+ * @param {String} distPath         Published distribution folder path
+ * @param {String} distribution     Distribution date (YYYY-MM-DD)
+ */
+exports.applyPendingCorrections = function (distPath, distribution) {
+  const corrections = readJson(path.join(distPath, "corrections.json"), [])
+  if (corrections.length === 0) {
+    return
+  }
+
+  const audit = readJson(AUDIT_FILE_PATH, [])
+  audit.push({
+    action: "applied",
+    date: new Date().toISOString(),
+    distribution,
+    corrections,
+  })
+  writeJson(AUDIT_FILE_PATH, audit)
+  const applied = corrections.map((correction) => JSON.stringify(correction))
+  writeJson(
+    PENDING_FILE_PATH,
+    exports
+      .readPendingCorrections()
+      .filter((correction) => !applied.includes(JSON.stringify(correction)))
+  )
+}
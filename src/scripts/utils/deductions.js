@@ -0,0 +1,158 @@
+const fs = require("fs")
+const path = require("path")
+const { ethers } = require("ethers")
+const BigNumber = require("bignumber.js")
+const { DISTRIBUTIONS_PATH } = require("./distributions.js")
+
+const LEDGER_FILE_PATH = path.join(DISTRIBUTIONS_PATH, "deductions/ledger.json")
+
+/**
+ * Read the deduction ledger: debts recorded for over-paid stakes and amounts
+ * withheld in each distribution to repay them
+ * @return {Object[]}               Ledger entries
+ */
+exports.readLedger = function () {
+  if (!fs.existsSync(LEDGER_FILE_PATH)) {
+    return []
+  }
+  return JSON.parse(fs.readFileSync(LEDGER_FILE_PATH))
+}
+
+//
+// Write the deduction ledger
+//
+function writeLedger(ledger) {
+  fs.mkdirSync(path.dirname(LEDGER_FILE_PATH), { recursive: true })
+  fs.writeFileSync(LEDGER_FILE_PATH, JSON.stringify(ledger, null, 4))
+}
+
+/**
+ * Record a debt of an over-paid stake, to be repaid by withholding its future
+ * earned rewards
+ * @param {String} stakingProvider  Staking provider address
+ * @param {String} amount           Debt amount (T wei)
+ * @param {String} reason           Reason of the debt
+ * @return {Object}                 Recorded ledger entry
+ */
+exports.addDebt = function (stakingProvider, amount, reason) {
+  if (!ethers.utils.isAddress(stakingProvider || "")) {
+    throw new Error(`Invalid staking provider "${stakingProvider}"`)
+  }
+  if (!/^\d+$/.test(amount) || BigNumber(amount).eq(0)) {
+    throw new Error("Amount must be a positive integer (T wei)")
+  }
+  if (!reason || !reason.trim()) {
+    throw new Error("A reason must be provided")
+  }
+  const entry = {
+    type: "debt",
+    date: new Date().toISOString(),
+    stakingProvider: ethers.utils.getAddress(stakingProvider),
+    amount,
+    reason,
+  }
+  const ledger = exports.readLedger()
+  ledger.push(entry)
+  writeLedger(ledger)
+  return entry
+}
+
+/**
+ * Return the outstanding debt of each staking provider: recorded debts minus
+ * withheld amounts. Repaid debts are not included
+ * @param {Object[]} ledger         Ledger entries
+ * @return {Object}                 Outstanding debt by staking provider
+ */
+exports.getOutstandingDebts = function (ledger) {
+  const debts = {}
+  ledger.forEach(({ type, stakingProvider, amount }) => {
+    const sign = type === "debt" ? 1 : -1
+    debts[stakingProvider] = BigNumber(debts[stakingProvider] || 0).plus(
+      BigNumber(amount).times(sign)
+    )
+  })
+  return Object.fromEntries(
+    Object.entries(debts)
+      .filter(([, debt]) => debt.gt(0))
+      .map(([stakingProvider, debt]) => [stakingProvider, debt.toFixed()])
+  )
+}
+
+/**
+ * Withhold the earned rewards of the stakes with outstanding debt, going
+ * through the rewards sources in order until the debt is repaid. Only earned
+ * rewards are withheld, so cumulative amounts never decrease
+ * @param {Object} earnedBySource   Earned rewards Merkle input of each rewards
+ *                                  source, indexed by source name
+ * @param {Object} debts            Outstanding debt by staking provider
+ * @return {Object}                 Earned rewards after withholding, and the
+ *                                  withheld amount and outstanding debt of
+ *                                  each staking provider with debt
+ */
+exports.withholdEarnedRewards = function (earnedBySource, debts) {
+  const earned = JSON.parse(JSON.stringify(earnedBySource))
+  const deductions = Object.entries(debts).map(([stakingProvider, debt]) => {
+    let remaining = BigNumber(debt)
+    Object.values(earned).forEach((sourceEarned) => {
+      const claim = sourceEarned[stakingProvider]
+      if (!claim || remaining.eq(0)) {
+        return
+      }
+      const withheld = BigNumber.min(claim.amount, remaining)
+      remaining = remaining.minus(withheld)
+      claim.amount = BigNumber(claim.amount).minus(withheld).toFixed()
+      if (BigNumber(claim.amount).eq(0)) {
+        delete sourceEarned[stakingProvider]
+      }
+    })
+    return {
+      stakingProvider,
+      outstandingBefore: debt,
+      withheld: BigNumber(debt).minus(remaining).toFixed(),
+      outstandingAfter: remaining.toFixed(),
+    }
+  })
+  return { earned, deductions }
+}
+
+/**
+ * Write the deductions report in the folder of the distribution that
+ * withholds the rewards
+ * @param {String} distPath         Distribution folder path
+ * @param {Object[]} deductions     Withheld amounts and outstanding debts
+ */
+exports.writeDeductions = function (distPath, deductions) {
+  if (deductions.length === 0) {
+    return
+  }
+  fs.writeFileSync(
+    path.join(distPath, "deductions.json"),
+    JSON.stringify(deductions, null, 4)
+  )
+}
+
+/**
+ * Record in the ledger the amounts withheld in a published distribution,
+ * read from its deductions report
+ * @param {String} distPath         Published distribution folder path
+ * @param {String} distribution     Distribution date (YYYY-MM-DD)
+ */
+exports.recordDeductions = function (distPath, distribution) {
+  const deductionsPath = path.join(distPath, "deductions.json")
+  if (!fs.existsSync(deductionsPath)) {
+    return
+  }
+  const ledger = exports.readLedger()
+  JSON.parse(fs.readFileSync(deductionsPath))
+    .filter((deduction) => !BigNumber(deduction.withheld).eq(0))
+    .forEach(({ stakingProvider, withheld }) =>
+      ledger.push({
+        type: "withheld",
+        date: new Date().toISOString(),
+        distribution,
+        stakingProvider,
+        amount: withheld,
+      })
+    )
+  writeLedger(ledger)
+}
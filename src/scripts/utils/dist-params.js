@@ -0,0 +1,156 @@
+const fs = require("fs")
+const BigNumber = require("bignumber.js")
+const {
+  DISTRIBUTIONS_FILE_PATH,
+  getDistPath,
+  getLatestDistribution,
+} = require("./distributions.js")
+const {
+  getRewardSources,
+  getSourceParams,
+} = require("./reward-sources/index.js")
+
+const PARAMS_FILE_NAME = "params.json"
+
+// Parameters accepted in a config file and in the command line, including the
+// ones declared by the rewards sources
+const PARAM_NAMES = ["startDate", "endDate", "lastDistribution"].concat(
+  getSourceParams().map((param) => param.name)
+)
+
+//
+// Convert a YYYY-MM-DD date to a UNIX timestamp (UTC midnight)
+//
+function dateToTimestamp(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new Error(`Invalid date "${date}": format must be YYYY-MM-DD`)
+  }
+  const timestamp = new Date(`${date}T00:00:00+00:00`).getTime() / 1000
+  if (isNaN(timestamp)) {
+    throw new Error(`Invalid date "${date}"`)
+  }
+  return timestamp
+}
+
+//
+// Read a distribution parameters config file
+//
+function readConfigFile(configPath) {
+  let config
+  try {
+    config = JSON.parse(fs.readFileSync(configPath))
+  } catch (err) {
+    throw new Error(`Error reading config file ${configPath}: ${err.message}`)
+  }
+  Object.keys(config).forEach((key) => {
+    if (!PARAM_NAMES.includes(key)) {
+      throw new Error(`Unknown parameter "${key}" in config file ${configPath}`)
+    }
+  })
+  return config
+}
+
+//
+// Parse a weight, which must be a number between 0 and 1
+//
+function parseWeight(name, value) {
+  if (value === undefined || value === null || value === "") {
+    throw new Error(`Parameter ${name} must be provided`)
+  }
+  const weight = BigNumber(String(value))
+  if (weight.isNaN() || weight.lt(0) || weight.gt(1)) {
+    throw new Error(`Parameter ${name} must be a number between 0 and 1`)
+  }
+  return weight.toNumber()
+}
+
+/**
+ * Resolve the parameters of a new distribution. The values provided in the
+ * command line take precedence over the ones in the config file
+ * @param {Object} options          Command line options (config, startDate,
+ *                                  endDate, lastDistribution and the rewards
+ *                                  sources parameters)
+ * @return {Object}                 Validated distribution parameters
+ */
+exports.resolveDistParams = function (options) {
+  const config = options.config ? readConfigFile(options.config) : {}
+  const raw = {}
+  PARAM_NAMES.forEach((name) => {
+    raw[name] = options[name] !== undefined ? options[name] : config[name]
+  })
+
+  const latestDistribution = getLatestDistribution()
+  const lastDistribution = raw.lastDistribution || latestDistribution
+  if (!fs.existsSync(getDistPath(lastDistribution))) {
+    throw new Error(`Base distribution ${lastDistribution} doesn't exist`)
+  }
+  if (lastDistribution !== latestDistribution) {
+    throw new Error(
+      `Base distribution ${lastDistribution} is not the latest one ` +
+        `(${latestDistribution}) in ${DISTRIBUTIONS_FILE_PATH}`
+    )
+  }
+
+  if (!raw.endDate) {
+    throw new Error("Parameter endDate must be provided")
+  }
+  const startDate = raw.startDate || lastDistribution
+  const endDate = raw.endDate
+  const startTime = dateToTimestamp(startDate)
+  const endTime = dateToTimestamp(endDate)
+  if (endTime <= startTime) {
+    throw new Error(`End date ${endDate} must be after start date ${startDate}`)
+  }
+
+  const params = {
+    ...raw,
+    startDate,
+    endDate,
+    startTime,
+    endTime,
+    lastDistribution,
+  }
+
+  const weightParams = getRewardSources()
+    .filter((source) => source.weightParam)
+    .map((source) => source.weightParam)
+  weightParams.forEach((name) => {
+    params[name] = parseWeight(name, raw[name])
+  })
+  const totalWeight = weightParams.reduce(
+    (total, name) => total.plus(String(params[name])),
+    BigNumber(0)
+  )
+  if (!totalWeight.eq(1)) {
+    throw new Error(
+      "Weights must sum 1 (" +
+        weightParams.map((name) => `${name}: ${params[name]}`).join(", ") +
+        ")"
+    )
+  }
+
+  getRewardSources().forEach((source) => {
+    if (source.validateParams) {
+      source.validateParams(params)
+    }
+  })
+
+  return params
+}
+
+/**
+ * Write the resolved parameters in the distribution folder. The generated
+ * file can be used as config file to run the distribution again
+ * @param {String} distPath         Distribution folder path
+ * @param {Object} params           Resolved distribution parameters
+ */
+exports.writeDistParams = function (distPath, params) {
+  const recorded = PARAM_NAMES.reduce((acc, name) => {
+    acc[name] = params[name]
+    return acc
+  }, {})
+  fs.writeFileSync(
+    `${distPath}/${PARAMS_FILE_NAME}`,
+    JSON.stringify(recorded, null, 4)
+  )
+}
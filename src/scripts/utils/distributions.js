@@ -0,0 +1,107 @@
+const fs = require("fs")
+const path = require("path")
+
+const DISTRIBUTIONS_PATH = "distributions"
+const DISTRIBUTIONS_FILE_PATH = `${DISTRIBUTIONS_PATH}/distributions.json`
+const TOTAL_INPUT_FILE = "MerkleInputTotalRewards.json"
+const INPUT_FILE_REGEX = /^MerkleInput(\w+)Rewards\.json$/
+// Folder with the rewards earned in the period by each rewards source
+const EARNED_REWARDS_PATH = "earned-rewards"
+// Order in which the rewards sources were combined before the manifest file
+// was introduced
+const LEGACY_SOURCES_ORDER = ["Bonus", "Ongoing", "Pre", "TACo", "Tbtcv2"]
+
+//
+// Return the path of a distribution folder
+//
+function getDistPath(date) {
+  return path.join(DISTRIBUTIONS_PATH, date)
+}
+
+//
+// Return the dates of all the distribution folders, sorted from oldest to
+// latest
+//
+function listDistributions() {
+  return fs
+    .readdirSync(DISTRIBUTIONS_PATH, { withFileTypes: true })
+    .filter(
+      (entry) => entry.isDirectory() && /^\d{4}-\d{2}-\d{2}$/.test(entry.name)
+    )
+    .map((entry) => entry.name)
+    .sort()
+}
+
+//
+// Return the date of the distribution previous to the given one, or undefined
+// if it is the first one
+//
+function getPreviousDistribution(date) {
+  const previous = listDistributions().filter((dist) => dist < date)
+  return previous[previous.length - 1]
+}
+
+//
+// Return the date of the latest distribution registered in distributions.json,
+// the local one unless its content is given (e.g. read from another git ref)
+//
+function getLatestDistribution(
+  distributions = JSON.parse(fs.readFileSync(DISTRIBUTIONS_FILE_PATH))
+) {
+  const dates = Object.keys(distributions.CumulativeAmountByDistribution).sort()
+  return dates[dates.length - 1]
+}
+
+//
+// Read a JSON file of a distribution folder. Return undefined if the file
+// doesn't exist
+//
+function readDistFile(date, fileName) {
+  const filePath = path.join(getDistPath(date), fileName)
+  if (!fs.existsSync(filePath)) {
+    return undefined
+  }
+  return JSON.parse(fs.readFileSync(filePath))
+}
+
+//
+// Return the rewards source name of a Merkle input file name, e.g. "TACo" for
+// MerkleInputTACoRewards.json
+//
+function getSourceName(inputFile) {
+  return inputFile.match(INPUT_FILE_REGEX)[1]
+}
+
+//
+// Return the Merkle input file names of the rewards sources of a distribution,
+// sorted in the order they were combined to get the total rewards input
+//
+function getSourceInputFiles(date) {
+  const manifest = readDistFile(date, "manifest.json")
+  if (manifest) {
+    return Object.values(manifest.sources).map((source) => source.inputFile)
+  }
+
+  const sourceRank = (fileName) => {
+    const rank = LEGACY_SOURCES_ORDER.indexOf(getSourceName(fileName))
+    return rank === -1 ? LEGACY_SOURCES_ORDER.length : rank
+  }
+  return fs
+    .readdirSync(getDistPath(date))
+    .filter((file) => INPUT_FILE_REGEX.test(file) && file !== TOTAL_INPUT_FILE)
+    .sort((a, b) => sourceRank(a) - sourceRank(b) || a.localeCompare(b))
+}
+
+module.exports = {
+  DISTRIBUTIONS_PATH,
+  DISTRIBUTIONS_FILE_PATH,
+  TOTAL_INPUT_FILE,
+  EARNED_REWARDS_PATH,
+  getDistPath,
+  listDistributions,
+  getPreviousDistribution,
+  getLatestDistribution,
+  readDistFile,
+  getSourceName,
+  getSourceInputFiles,
+}
@@ -0,0 +1,37 @@
+const ETHERSCAN_API = "https://api.etherscan.io/v2/api"
+const MAINNET_CHAIN_ID = 1
+const POLYGON_CHAIN_ID = 137
+
+//
+// Return the number of the first block mined at or after a given timestamp in
+// the chain with the provided chain ID (Ethereum mainnet by default)
+//
+async function getBlockByTimestamp(
+  timestamp,
+  etherscanApiKey,
+  chainId = MAINNET_CHAIN_ID
+) {
+  const url =
+    `${ETHERSCAN_API}?chainid=${chainId}&module=block&` +
+    `action=getblocknobytime&timestamp=${timestamp}&closest=after&` +
+    `apikey=${etherscanApiKey}`
+
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Etherscan request failed with status ${response.status}`)
+  }
+  const data = await response.json()
+  if (data.status !== "1") {
+    throw new Error(
+      `Etherscan error getting block for timestamp ${timestamp}: ${data.result}`
+    )
+  }
+
+  return Number(data.result)
+}
+
+module.exports = {
+  MAINNET_CHAIN_ID,
+  POLYGON_CHAIN_ID,
+  getBlockByTimestamp,
+}
@@ -0,0 +1,136 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const simpleGit = require("simple-git")
+const { getTotalAmount } = require("./merkle_dist.js")
+
+const MANIFEST_FILE_NAME = "manifest.json"
+const GRAPHCLIENT_CONFIG_PATH = ".graphclientrc.yml"
+
+//
+// Return the SHA-256 hash of a file content
+//
+function hashFile(filePath) {
+  const content = fs.readFileSync(filePath)
+  return "0x" + crypto.createHash("sha256").update(content).digest("hex")
+}
+
+//
+// Return the paths of all the files in a folder, including subfolders,
+// relative to this folder and sorted alphabetically
+//
+function listFiles(folderPath, relPath = "") {
+  return fs
+    .readdirSync(path.join(folderPath, relPath), { withFileTypes: true })
+    .flatMap((entry) => {
+      const entryPath = path.posix.join(relPath, entry.name)
+      return entry.isDirectory() ? listFiles(folderPath, entryPath) : entryPath
+    })
+    .sort()
+}
+
+//
+// Return the subgraph endpoints configured in the graph-client config file
+//
+function getSubgraphEndpoints() {
+  const config = fs.readFileSync(GRAPHCLIENT_CONFIG_PATH, "utf8")
+  const subgraphs = {}
+  let name
+  config.split("\n").forEach((line) => {
+    const nameMatch = line.match(/^\s*-\s*name:\s*(\S+)/)
+    const endpointMatch = line.match(/^\s*endpoint:\s*(\S+)/)
+    if (nameMatch) {
+      name = nameMatch[1]
+    } else if (endpointMatch && name) {
+      subgraphs[name] = endpointMatch[1]
+    }
+  })
+  return subgraphs
+}
+
+//
+// Return the commit of the tool used to generate the distribution and
+// whether there were uncommitted changes, not taking into account the
+// distribution files being generated
+//
+async function getToolVersion() {
+  const git = simpleGit()
+  const commit = await git.revparse(["HEAD"])
+  const status = await git.status()
+  const changes = status.files.filter(
+    (file) => !file.path.startsWith("distributions/")
+  )
+  return {
+    gitCommit: commit.trim(),
+    uncommittedChanges: changes.length > 0,
+  }
+}
+
+/**
+ * Generate the manifest of a distribution, which describes how it was
+ * produced, and write it in the distribution folder
+ * @param {String} distPath         Distribution folder path
+ * @param {Object} params           Resolved distribution parameters
+ * @param {Object} cutoffs          Block numbers used as period boundaries
+ * @param {Object} sources          Input file, weight, and earned and
+ *                                  cumulative Merkle inputs of each rewards
+ *                                  source, indexed by source name
+ * @return {Object}                 Distribution manifest
+ */
+exports.writeManifest = async function (distPath, params, cutoffs, sources) {
+  const merkleDist = JSON.parse(
+    fs.readFileSync(path.join(distPath, "MerkleDist.json"))
+  )
+
+  const files = listFiles(distPath)
+    .filter((file) => file !== MANIFEST_FILE_NAME)
+    .reduce((acc, file) => {
+      acc[file] = hashFile(path.join(distPath, file))
+      return acc
+    }, {})
+
+  const manifest = {
+    distribution: params.endDate,
+    previousDistribution: params.lastDistribution,
+    period: {
+      startDate: params.startDate,
+      endDate: params.endDate,
+      startTimestamp: params.startTime,
+      endTimestamp: params.endTime,
+      startBlock: cutoffs.startBlock,
+      endBlock: cutoffs.endBlock,
+      polygonEndBlock: cutoffs.polygonEndBlock,
+    },
+    weights: Object.entries(sources).reduce((acc, [name, source]) => {
+      if (source.weight !== undefined) {
+        acc[name] = source.weight
+      }
+      return acc
+    }, {}),
+    tbtcValidVersions: params.tbtcValidVersions,
+    tool: await getToolVersion(),
+    subgraphs: getSubgraphEndpoints(),
+    merkleRoot: merkleDist.merkleRoot,
+    totalAmount: merkleDist.totalAmount,
+    // Only the sources with an input file in the distribution
+    sources: Object.entries(sources).reduce((acc, [name, source]) => {
+      if (!fs.existsSync(path.join(distPath, source.inputFile))) {
+        return acc
+      }
+      acc[name] = {
+        inputFile: source.inputFile,
+        earnedAmount: getTotalAmount(source.earned),
+        cumulativeAmount: getTotalAmount(source.cumulative),
+      }
+      return acc
+    }, {}),
+    files,
+  }
+
+  fs.writeFileSync(
+    path.join(distPath, MANIFEST_FILE_NAME),
+    JSON.stringify(manifest, null, 4)
+  )
+
+  return manifest
+}
@@ -2,8 +2,67 @@ const { MerkleTree } = require("merkletreejs")
 const BigNumber = require("bignumber.js")
 const keccak256 = require("keccak256")
 
+//
+// Return the element whose hash is the Merkle leaf of a claim
+//
+function genLeafElement(stakingProvider, beneficiary, amount) {
+  return (
+    stakingProvider +
+    beneficiary.substr(2) +
+    BigInt(amount).toString(16).padStart(64, "0")
+  )
+}
+
+//
+// Build the layers of a Merkle tree from its sorted leaves, hashing each pair
+// of nodes sorted. An odd node at the end of a layer is promoted to the next
+// layer without hashing. The layers are returned in hex, converting every node
+// once, so proofs can share these strings
+//
+function buildLayers(leaves) {
+  const hexLayers = [leaves.map((node) => MerkleTree.bufferToHex(node))]
+  let nodes = leaves
+  while (nodes.length > 1) {
+    const layer = []
+    for (let i = 0; i < nodes.length; i += 2) {
+      if (i + 1 === nodes.length) {
+        layer.push(nodes[i])
+      } else {
+        const pair =
+          Buffer.compare(nodes[i], nodes[i + 1]) <= 0
+            ? [nodes[i], nodes[i + 1]]
+            : [nodes[i + 1], nodes[i]]
+        layer.push(keccak256(Buffer.concat(pair)))
+      }
+    }
+    hexLayers.push(layer.map((node) => MerkleTree.bufferToHex(node)))
+    nodes = layer
+  }
+  return hexLayers
+}
+
+//
+// Return the proof of the leaf placed in a given position of the tree
+//
+function getHexProof(hexLayers, position) {
+  const proof = []
+  let index = position
+  for (let i = 0; i < hexLayers.length; i++) {
+    const pairIndex = index % 2 ? index - 1 : index + 1
+    if (pairIndex < hexLayers[i].length) {
+      proof.push(hexLayers[i][pairIndex])
+    }
+    index = (index / 2) | 0
+  }
+  return proof
+}
+
 /**
- * Generate a Merkle distribution from a Threshold rewards input
+ * Generate a Merkle distribution from a Threshold rewards input. The leaves
+ * are hashed only once and each claim keeps the position of its leaf in the
+ * tree, so the distribution can be generated in O(n log n) time for large
+ * inputs. The tree is the same as the one built by merkletreejs with sorted
+ * leaves and pairs
  * @param {Object} merkleInput      Merkle input generated from rewards
  * @return {Object}                 Merkle distribution
  */
@@ -11,58 +70,83 @@ exports.genMerkleDist = function (merkleInput) {
   const stakingProviders = Object.keys(merkleInput)
   const data = Object.values(merkleInput)
 
-  const elements = stakingProviders.map(
-    (stakingProvider, i) =>
-      stakingProvider +
-      data[i].beneficiary.substr(2) +
-      BigNumber(data[i].amount).toString(16).padStart(64, "0")
+  const leaves = stakingProviders.map((stakingProvider, i) =>
+    keccak256(
+      genLeafElement(stakingProvider, data[i].beneficiary, data[i].amount)
+    )
   )
 
-  const tree = new MerkleTree(elements, keccak256, {
-    hashLeaves: true,
-    sort: true,
+  // Sorting lowercase hex strings gives the same order as sorting the bytes.
+  // positions[i] is the position in the sorted tree leaves of the i-th claim
+  const hexLeaves = leaves.map((leaf) => leaf.toString("hex"))
+  const sortedIndexes = leaves
+    .map((_, i) => i)
+    .sort((a, b) =>
+      hexLeaves[a] < hexLeaves[b] ? -1 : hexLeaves[a] > hexLeaves[b] ? 1 : 0
+    )
+  const positions = new Array(leaves.length)
+  sortedIndexes.forEach((leafIndex, position) => {
+    positions[leafIndex] = position
   })
 
-  const root = tree.getHexRoot()
-  const leaves = tree.getHexLeaves()
-  const proofs = leaves.map(tree.getHexProof, tree)
+  const hexLayers = buildLayers(sortedIndexes.map((i) => leaves[i]))
+  const root = hexLayers[hexLayers.length - 1][0]
 
   const totalAmount = data
     .map((claim) => BigNumber(claim.amount))
     .reduce((a, b) => a.plus(b))
     .toFixed()
 
-  const claims = Object.entries(merkleInput).map(([stakingProvider, data]) => {
-    const leaf = MerkleTree.bufferToHex(
-      keccak256(
-        stakingProvider +
-          data.beneficiary.substr(2) +
-          BigNumber(data.amount).toString(16).padStart(64, "0")
-      )
-    )
-    return {
-      stakingProvider: stakingProvider,
-      beneficiary: data.beneficiary,
-      amount: data.amount,
-      proof: proofs[leaves.indexOf(leaf)],
-    }
-  })
-
   const dist = {
     totalAmount: totalAmount,
     merkleRoot: root,
-    claims: claims.reduce(
-      (a, { stakingProvider, beneficiary, amount, proof }) => {
-        a[stakingProvider] = { beneficiary, amount, proof }
-        return a
-      },
-      {}
-    ),
+    claims: stakingProviders.reduce((a, stakingProvider, i) => {
+      a[stakingProvider] = {
+        beneficiary: data[i].beneficiary,
+        amount: data[i].amount,
+        proof: getHexProof(hexLayers, positions[i]),
+      }
+      return a
+    }, {}),
   }
 
   return dist
 }
 
+/**
+ * Verify the Merkle proof of a claim
+ * @param {String} stakingProvider  Staking provider address
+ * @param {String} beneficiary      Beneficiary address
+ * @param {String} amount           Cumulative amount
+ * @param {String[]} proof          Merkle proof
+ * @param {String} root             Merkle root
+ * @return {Boolean}                True if the proof is valid
+ */
+exports.verifyProof = function (
+  stakingProvider,
+  beneficiary,
+  amount,
+  proof,
+  root
+) {
+  const tree = new MerkleTree([], keccak256, { sortPairs: true })
+  const leaf = exports.genMerkleLeaf(stakingProvider, beneficiary, amount)
+  return tree.verify(proof, leaf, root)
+}
+
+/**
+ * Return the Merkle leaf of a claim
+ * @param {String} stakingProvider  Staking provider address
+ * @param {String} beneficiary      Beneficiary address
+ * @param {String} amount           Cumulative amount
+ * @return {String}                 Leaf hash
+ */
+exports.genMerkleLeaf = function (stakingProvider, beneficiary, amount) {
+  return MerkleTree.bufferToHex(
+    keccak256(genLeafElement(stakingProvider, beneficiary, amount))
+  )
+}
+
 /**
  * Combine two Threshold rewards inputs, adding the amounts and taking the
  * beneficiary of the second input
@@ -89,3 +173,14 @@ exports.combineMerkleInputs = function (baseMerkleInput, addedMerkleInput) {
   })
   return combined
 }
+
+/**
+ * Return the sum of the amounts of a Threshold rewards input
+ * @param {Object} merkleInput      Merkle input generated from rewards
+ * @return {String}                 Total amount
+ */
+exports.getTotalAmount = function (merkleInput) {
+  return Object.values(merkleInput)
+    .reduce((total, claim) => total.plus(claim.amount), BigNumber(0))
+    .toFixed()
+}
@@ -0,0 +1,80 @@
+const BigNumber = require("bignumber.js")
+const { getTotalAmount } = require("./merkle_dist.js")
+
+/**
+ * Check that the cumulative amounts of a new total rewards input don't
+ * decrease with respect to the previous distribution. Contracts only allow
+ * claiming when the new cumulative amount is greater than the amount already
+ * claimed, so a decreased amount would leave the stake unable to claim
+ * @param {Object} prevMerkleInput  Total rewards input of the previous
+ *                                  distribution
+ * @param {Object} merkleInput      Total rewards input of the new distribution
+ * @param {Object[]} earnedInputs   Rewards earned since the previous
+ *                                  distribution, one input per rewards source
+ * @return {Object}                 Check result: decreased amounts, missing
+ *                                  staking providers and totals
+ */
+exports.checkCumulativeAmounts = function (
+  prevMerkleInput,
+  merkleInput,
+  earnedInputs
+) {
+  const decreased = []
+  const missing = []
+  Object.keys(prevMerkleInput).forEach((stakingProvider) => {
+    const prevAmount = BigNumber(prevMerkleInput[stakingProvider].amount)
+    if (!merkleInput[stakingProvider]) {
+      missing.push(stakingProvider)
+    } else if (BigNumber(merkleInput[stakingProvider].amount).lt(prevAmount)) {
+      decreased.push({
+        stakingProvider,
+        previousAmount: prevAmount.toFixed(),
+        amount: BigNumber(merkleInput[stakingProvider].amount).toFixed(),
+      })
+    }
+  })
+
+  const previousTotal = getTotalAmount(prevMerkleInput)
+  const total = getTotalAmount(merkleInput)
+  const earnedTotal = earnedInputs
+    .reduce((acc, earned) => acc.plus(getTotalAmount(earned)), BigNumber(0))
+    .toFixed()
+  const totalMatchesEarned = BigNumber(total)
+    .minus(previousTotal)
+    .eq(earnedTotal)
+
+  return {
+    decreased,
+    missing,
+    previousTotal,
+    total,
+    earnedTotal,
+    totalMatchesEarned,
+    valid: decreased.length === 0 && missing.length === 0 && totalMatchesEarned,
+  }
+}
+
+/**
+ * Return the errors found by the cumulative amounts check as readable messages
+ * @param {Object} result           Result of checkCumulativeAmounts
+ * @return {String[]}               Error messages
+ */
+exports.formatCheckErrors = function (result) {
+  const errors = []
+  result.decreased.forEach(({ stakingProvider, previousAmount, amount }) => {
+    errors.push(
+      `Cumulative amount of ${stakingProvider} decreased from ` +
+        `${previousAmount} to ${amount}`
+    )
+  })
+  result.missing.forEach((stakingProvider) => {
+    errors.push(`Staking provider ${stakingProvider} is missing`)
+  })
+  if (!result.totalMatchesEarned) {
+    errors.push(
+      `Total amount changed from ${result.previousTotal} to ${result.total}, ` +
+        `which doesn't match the earned rewards ${result.earnedTotal}`
+    )
+  }
+  return errors
+}
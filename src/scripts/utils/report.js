@@ -0,0 +1,10 @@
+//
+// Print the result of a check in the console
+//
+function printCheck(name, passed, detail = "") {
+  console.log(`${passed ? "✔" : "✖"} ${name}${detail ? ": " + detail : ""}`)
+}
+
+module.exports = {
+  printCheck,
+}
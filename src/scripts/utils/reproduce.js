@@ -0,0 +1,150 @@
+const BigNumber = require("bignumber.js")
+const MerkleDist = require("./merkle_dist.js")
+const {
+  TOTAL_INPUT_FILE,
+  EARNED_REWARDS_PATH,
+  getPreviousDistribution,
+  readDistFile,
+  getSourceInputFiles,
+} = require("./distributions.js")
+
+//
+// Return the rewards earned between two cumulative Merkle inputs, taking the
+// beneficiary of the latest one. Only used for distributions that don't record
+// the rewards earned, and can't be checked against them
+//
+function getEarnedRewards(prevMerkleInput, merkleInput) {
+  return Object.keys(merkleInput).reduce((earned, stakingProvider) => {
+    const prevAmount = prevMerkleInput[stakingProvider]
+      ? prevMerkleInput[stakingProvider].amount
+      : 0
+    earned[stakingProvider] = {
+      beneficiary: merkleInput[stakingProvider].beneficiary,
+      amount: BigNumber(merkleInput[stakingProvider].amount)
+        .minus(prevAmount)
+        .toFixed(),
+    }
+    return earned
+  }, {})
+}
+
+//
+// Compare two objects indexed by staking provider, returning the staking
+// providers whose data doesn't match byte-for-byte, the ones missing in the
+// reproduced object and the unexpected ones
+//
+function compareClaims(expected, reproduced) {
+  const mismatched = []
+  const missing = []
+  Object.keys(expected).forEach((stakingProvider) => {
+    if (!reproduced[stakingProvider]) {
+      missing.push(stakingProvider)
+    } else if (
+      JSON.stringify(expected[stakingProvider]) !==
+      JSON.stringify(reproduced[stakingProvider])
+    ) {
+      mismatched.push(stakingProvider)
+    }
+  })
+  const unexpected = Object.keys(reproduced).filter(
+    (stakingProvider) => !expected[stakingProvider]
+  )
+  return {
+    count: Object.keys(expected).length,
+    mismatched,
+    missing,
+    unexpected,
+    matches:
+      mismatched.length === 0 &&
+      missing.length === 0 &&
+      unexpected.length === 0,
+  }
+}
+
+/**
+ * Re-derive a past distribution from the rewards earned by each rewards source
+ * and the previous distribution, and compare the result with the published
+ * one. Rewards sources inputs with a decreased or dropped staking provider
+ * can't be reproduced
+ * @param {String} date             Distribution date (YYYY-MM-DD)
+ * @return {Object}                 Reproduction report
+ */
+exports.reproduceDist = function (date) {
+  const merkleDist = readDistFile(date, "MerkleDist.json")
+  if (!merkleDist) {
+    throw new Error(`Distribution ${date} not found`)
+  }
+  const manifest = readDistFile(date, "manifest.json")
+  const prevDate = manifest
+    ? manifest.previousDistribution
+    : getPreviousDistribution(date)
+
+  // Re-run the combination of the rewards earned by each rewards source over
+  // the previous one, and then the combination of all the rewards sources
+  const sources = []
+  let merkleInput = {}
+  getSourceInputFiles(date).forEach((inputFile) => {
+    const sourceInput = readDistFile(date, inputFile)
+    const prevSourceInput =
+      (prevDate && readDistFile(prevDate, inputFile)) || {}
+    const recordedEarned = readDistFile(
+      date,
+      `${EARNED_REWARDS_PATH}/${inputFile}`
+    )
+    const earned =
+      recordedEarned || getEarnedRewards(prevSourceInput, sourceInput)
+    const combined = MerkleDist.combineMerkleInputs(prevSourceInput, earned)
+
+    const source = {
+      inputFile,
+      earnedRecorded: !!recordedEarned,
+      input: compareClaims(sourceInput, combined),
+      decreased: Object.keys(sourceInput).filter(
+        (stakingProvider) =>
+          prevSourceInput[stakingProvider] &&
+          BigNumber(sourceInput[stakingProvider].amount).lt(
+            prevSourceInput[stakingProvider].amount
+          )
+      ),
+      dropped: Object.keys(prevSourceInput).filter(
+        (stakingProvider) => !sourceInput[stakingProvider]
+      ),
+    }
+    source.matches =
+      source.input.matches &&
+      source.decreased.length === 0 &&
+      source.dropped.length === 0
+    sources.push(source)
+    merkleInput = MerkleDist.combineMerkleInputs(merkleInput, combined)
+  })
+
+  const totalInput = readDistFile(date, TOTAL_INPUT_FILE) || {}
+  const reproducedDist = MerkleDist.genMerkleDist(merkleInput)
+  const claims = compareClaims(merkleDist.claims, reproducedDist.claims)
+
+  const report = {
+    distribution: date,
+    previousDistribution: prevDate,
+    sources,
+    totalInput: compareClaims(totalInput, merkleInput),
+    merkleRoot: {
+      expected: merkleDist.merkleRoot,
+      reproduced: reproducedDist.merkleRoot,
+      matches: merkleDist.merkleRoot === reproducedDist.merkleRoot,
+    },
+    totalAmount: {
+      expected: merkleDist.totalAmount,
+      reproduced: reproducedDist.totalAmount,
+      matches: merkleDist.totalAmount === reproducedDist.totalAmount,
+    },
+    claims,
+  }
+  report.matches =
+    sources.every((source) => source.matches) &&
+    report.merkleRoot.matches &&
+    report.totalAmount.matches &&
+    report.claims.matches &&
+    report.totalInput.matches
+
+  return report
+}
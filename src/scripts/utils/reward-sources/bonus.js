@@ -0,0 +1,7 @@
+// Bonus rewards: a closed program whose cumulative amounts are carried over
+// unchanged in every distribution
+
+module.exports = {
+  name: "bonus",
+  inputFile: "MerkleInputBonusRewards.json",
+}
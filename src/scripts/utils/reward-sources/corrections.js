@@ -0,0 +1,19 @@
+// Ad-hoc rewards: bonuses, grants and corrections for under-paid stakes,
+// ingested with the add_corrections script and included in the next
+// distribution
+
+const {
+  readPendingCorrections,
+  getCorrectionsInput,
+  writePendingCorrections,
+  applyPendingCorrections,
+} = require("../corrections.js")
+
+module.exports = {
+  name: "corrections",
+  inputFile: "MerkleInputCorrectionsRewards.json",
+  getEarnedRewards: () => getCorrectionsInput(readPendingCorrections()),
+  afterGeneration: ({ distPath }) => writePendingCorrections(distPath),
+  afterPublication: ({ distPath, endDate }) =>
+    applyPendingCorrections(distPath, endDate),
+}
@@ -0,0 +1,52 @@
+// Registry of the rewards sources combined in each distribution.
+//
+// A rewards source is a module exporting an object with:
+// - name: identifier of the source in the distribution manifest
+// - inputFile: file name of its cumulative Merkle input
+// - weightParam: distribution parameter with the source weight, if its
+//   rewards are weighted against the other sources. Weights must sum 1
+// - params: distribution parameters of the source, as { name, flags,
+//   description }, accepted in the command line and in the config file
+// - validateParams(params): optional, throws if the parameters are invalid
+// - getCutoffs(params): optional, returns the blocks used as period boundaries
+//   if they are recorded in the source data being replayed, so they don't have
+//   to be queried
+// - getEarnedRewards(context): optional, returns the Merkle input of the
+//   rewards earned in the period. The context contains the distribution
+//   parameters, the source weight, the distribution folder path, the Etherscan
+//   API key, the mainnet RPC URL and the period boundary blocks. Weighted
+//   sources are only computed if their weight is greater than zero
+// - afterGeneration(context): optional, called once the distribution has been
+//   generated, before writing its manifest. It must only write to the folder
+//   of the distribution being built
+// - afterPublication(context): optional, called once the distribution has been
+//   moved to its folder, to update the data shared by all the distributions
+//
+// New applications or one-off programs are added by writing a module and
+// registering it here. Sources are combined in this order.
+
+const bonus = require("./bonus.js")
+const taco = require("./taco.js")
+const tbtcv2 = require("./tbtcv2.js")
+const corrections = require("./corrections.js")
+
+const REWARD_SOURCES = [bonus, taco, tbtcv2, corrections]
+
+//
+// Return the registered rewards sources, in combination order
+//
+function getRewardSources() {
+  return REWARD_SOURCES
+}
+
+//
+// Return the distribution parameters declared by the rewards sources
+//
+function getSourceParams() {
+  return REWARD_SOURCES.flatMap((source) => source.params || [])
+}
+
+module.exports = {
+  getRewardSources,
+  getSourceParams,
+}
@@ -0,0 +1,121 @@
+// TACo application rewards
+
+const fs = require("fs")
+const { ethers } = require("ethers")
+const {
+  fetchTACoSnapshot,
+  getTACoRewardsFromSnapshot,
+} = require("../taco-rewards.js")
+
+// Raw subgraph responses the TACo rewards are calculated from
+const SNAPSHOT_FILE = "TACo-subgraph-snapshot.json"
+// Required uptime (percent) if uptime data is provided, as in tBTCv2 rewards
+const DEFAULT_REQUIRED_UPTIME = 96
+
+module.exports = {
+  name: "taco",
+  inputFile: "MerkleInputTACoRewards.json",
+  weightParam: "tacoWeight",
+  params: [
+    {
+      name: "tacoWeight",
+      flags: "--taco-weight <weight>",
+      description: "TACo rewards weight",
+    },
+    {
+      name: "tacoSnapshot",
+      flags: "--taco-snapshot <file>",
+      description:
+        "calculate the TACo rewards from a subgraph snapshot file instead " +
+        "of querying the subgraphs",
+    },
+    {
+      name: "tacoUptime",
+      flags: "--taco-uptime <file>",
+      description:
+        "JSON file with the uptime (percent) of each TACo staking provider " +
+        "in the period, to require a minimum uptime",
+    },
+    {
+      name: "tacoRequiredUptime",
+      flags: "--taco-required-uptime <percent>",
+      description: `TACo required uptime (default: ${DEFAULT_REQUIRED_UPTIME})`,
+    },
+  ],
+  validateParams: (params) => {
+    ;[params.tacoSnapshot, params.tacoUptime].forEach((file) => {
+      if (file && !fs.existsSync(file)) {
+        throw new Error(`File ${file} doesn't exist`)
+      }
+    })
+    const requiredUptime = Number(params.tacoRequiredUptime)
+    if (
+      params.tacoRequiredUptime !== undefined &&
+      !(requiredUptime >= 0 && requiredUptime <= 100)
+    ) {
+      throw new Error("TACo required uptime must be a percent (0-100)")
+    }
+  },
+  getCutoffs: ({ tacoSnapshot, endTime }) => {
+    if (!tacoSnapshot) {
+      return undefined
+    }
+    const { endTimestamp, blocks } = JSON.parse(fs.readFileSync(tacoSnapshot))
+    // Only a snapshot of this same period has its boundaries
+    if (Number(endTimestamp) !== endTime || !blocks || !blocks.mainnetStart) {
+      return undefined
+    }
+    return {
+      startBlock: blocks.mainnetStart,
+      endBlock: blocks.mainnet,
+      polygonEndBlock: blocks.polygon,
+    }
+  },
+  getEarnedRewards: async ({
+    startTime,
+    endTime,
+    weight,
+    tacoSnapshot,
+    tacoUptime,
+    tacoRequiredUptime,
+    distPath,
+    cutoffs,
+    mainnetRpcUrl,
+  }) => {
+    let snapshot
+    if (tacoSnapshot) {
+      snapshot = JSON.parse(fs.readFileSync(tacoSnapshot))
+    } else {
+      if (!mainnetRpcUrl) {
+        throw new Error(
+          "MAINNET_RPC_URL is required to read the TACo minimum authorization"
+        )
+      }
+      const uptime = tacoUptime && {
+        requiredUptime: Number(tacoRequiredUptime || DEFAULT_REQUIRED_UPTIME),
+        stakes: JSON.parse(fs.readFileSync(tacoUptime)),
+      }
+      snapshot = await fetchTACoSnapshot(
+        endTime,
+        {
+          mainnet: cutoffs.endBlock,
+          polygon: cutoffs.polygonEndBlock,
+          mainnetStart: cutoffs.startBlock,
+        },
+        new ethers.providers.JsonRpcProvider(mainnetRpcUrl),
+        uptime
+      )
+    }
+    fs.writeFileSync(
+      `${distPath}/${SNAPSHOT_FILE}`,
+      JSON.stringify(snapshot, null, 4)
+    )
+    return getTACoRewardsFromSnapshot(
+      snapshot,
+      startTime,
+      endTime,
+      weight,
+      `${distPath}/TACo-rewards-details`
+    )
+  },
+}
@@ -0,0 +1,74 @@
+// tBTCv2 application rewards, calculated by the tbtcv2-rewards script
+
+const fs = require("fs")
+const shell = require("shelljs")
+const BigNumber = require("bignumber.js")
+
+const TBTCV2_SCRIPT_PATH = "src/scripts/tbtcv2-rewards/"
+const TBTCV2_REWARDS_PATH = `${TBTCV2_SCRIPT_PATH}rewards.json`
+
+//
+// Calculate the tBTCv2 weighted rewards earned by each stake
+//
+function calculateTbtcv2Rewards(stakes, weight) {
+  Object.keys(stakes).map((stakingProvider) => {
+    const amount = BigNumber(stakes[stakingProvider].amount)
+    const weightedReward = amount.times(weight)
+    stakes[stakingProvider].amount = weightedReward.toFixed(0)
+  })
+  return stakes
+}
+
+module.exports = {
+  name: "tbtcv2",
+  inputFile: "MerkleInputTbtcv2Rewards.json",
+  weightParam: "tbtcv2Weight",
+  params: [
+    {
+      name: "tbtcv2Weight",
+      flags: "--tbtcv2-weight <weight>",
+      description: "tBTCv2 rewards weight",
+    },
+    {
+      name: "tbtcValidVersions",
+      flags: "--tbtc-valid-versions <versions>",
+      description:
+        "tBTC valid versions and deadlines sorted from latest to oldest " +
+        "(e.g. v2.1.0|v2.0.0_1717200000)",
+    },
+  ],
+  validateParams: (params) => {
+    if (params.tbtcv2Weight > 0 && !params.tbtcValidVersions) {
+      throw new Error("Parameter tbtcValidVersions must be provided")
+    }
+  },
+  getEarnedRewards: ({
+    startTime,
+    endTime,
+    weight,
+    tbtcValidVersions,
+    distPath,
+    etherscanApiKey,
+  }) => {
+    if (!etherscanApiKey) {
+      throw new Error("ETHERSCAN_TOKEN is required to calculate tBTCv2 rewards")
+    }
+    const rewardsDetailsPath = `${distPath}/tBTCv2-rewards-details/`
+    fs.mkdirSync(rewardsDetailsPath)
+    const tbtcv2Script =
+      "./rewards.sh " +
+      `--rewards-start-date ${startTime} ` +
+      `--rewards-end-date ${endTime} ` +
+      `--etherscan-token ${etherscanApiKey} ` +
+      `--rewards-details-path ../../../${rewardsDetailsPath} ` +
+      `--valid-versions "${tbtcValidVersions}"`
+    // The output of a previous run must never be taken as this period's
+    fs.rmSync(TBTCV2_REWARDS_PATH, { force: true })
+    const result = shell.exec(`cd ${TBTCV2_SCRIPT_PATH} && ${tbtcv2Script}`)
+    if (result.code !== 0) {
+      throw new Error(`tBTCv2 rewards script failed with code ${result.code}`)
+    }
+    const tbtcv2RewardsRaw = JSON.parse(fs.readFileSync(TBTCV2_REWARDS_PATH))
+    return calculateTbtcv2Rewards(tbtcv2RewardsRaw, weight)
+  },
+}
@@ -0,0 +1,78 @@
+const BigNumber = require("bignumber.js")
+const {
+  listDistributions,
+  readDistFile,
+  getSourceName,
+  getSourceInputFiles,
+} = require("./distributions.js")
+
+const CSV_COLUMNS = ["distribution", "stakingProvider", "source", "earned"]
+// Rewards sources that continued the cumulative amounts of a previous one:
+// the ongoing staking rewards became the PRE app rewards, and these became the
+// TACo app rewards
+const SOURCE_PREDECESSORS = { Pre: "Ongoing", TACo: "Pre" }
+
+/**
+ * Return the rewards earned by each staking provider in every distribution,
+ * split by rewards source. The earned amount of a source is the difference
+ * between its cumulative Merkle input and the one of the last distribution
+ * that included that source (or its predecessor)
+ * @param {String[]} [stakingProviders]  Staking providers to include, all of
+ *                                       them if omitted
+ * @return {Object[]}               Earned rewards (distribution, staking
+ *                                  provider, source and amount), sorted by
+ *                                  distribution
+ */
+exports.getRewardsHistory = function (stakingProviders) {
+  const included = stakingProviders
+    ? new Set(stakingProviders.map((address) => address.toLowerCase()))
+    : undefined
+  const lastInputs = {}
+  const history = []
+
+  listDistributions().forEach((date) => {
+    getSourceInputFiles(date).forEach((inputFile) => {
+      const source = getSourceName(inputFile)
+      const merkleInput = readDistFile(date, inputFile)
+      const lastInput =
+        lastInputs[source] || lastInputs[SOURCE_PREDECESSORS[source]] || {}
+      Object.keys(merkleInput)
+        .filter(
+          (stakingProvider) =>
+            !included || included.has(stakingProvider.toLowerCase())
+        )
+        .forEach((stakingProvider) => {
+          const lastAmount = lastInput[stakingProvider]
+            ? lastInput[stakingProvider].amount
+            : 0
+          const earned = BigNumber(merkleInput[stakingProvider].amount).minus(
+            lastAmount
+          )
+          if (!earned.isZero()) {
+            history.push({
+              distribution: date,
+              stakingProvider,
+              source,
+              earned: earned.toFixed(),
+            })
+          }
+        })
+      lastInputs[source] = merkleInput
+    })
+  })
+
+  return history
+}
+
+/**
+ * Format the rewards history as CSV
+ * @param {Object[]} history        Earned rewards returned by
+ *                                  getRewardsHistory
+ * @return {String}                 CSV content with a header row
+ */
+exports.toCsv = function (history) {
+  const rows = history.map((entry) =>
+    CSV_COLUMNS.map((column) => entry[column]).join(",")
+  )
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n"
+}
@@ -0,0 +1,63 @@
+// Rewards policy: APR of each application, which can change over time. Each
+// APR applies from its effective date until the next one
+const rewardsPolicy = require("../rewards-policy.json")
+
+//
+// Convert a YYYY-MM-DD date to a UNIX timestamp (UTC midnight)
+//
+function dateToTimestamp(date) {
+  return Date.parse(`${date}T00:00:00Z`) / 1000
+}
+
+/**
+ * Return the APR schedule of an application, sorted by effective date
+ * @param {String} application      Application name in the rewards policy
+ * @param {Object} policy           Rewards policy (default: rewards-policy.json)
+ * @return {Object[]}               APRs (percent) with the timestamp they are
+ *                                  effective from
+ */
+exports.getAPRSchedule = function (application, policy = rewardsPolicy) {
+  const schedule = policy[application]
+  if (!schedule || schedule.length === 0) {
+    throw new Error(`No APR defined for application ${application}`)
+  }
+  return schedule
+    .map(({ effectiveFrom, apr }) => {
+      const timestamp = dateToTimestamp(effectiveFrom)
+      if (Number.isNaN(timestamp) || !(apr >= 0)) {
+        throw new Error(
+          `Invalid APR ${apr} effective from ${effectiveFrom} for ${application}`
+        )
+      }
+      return { effectiveFrom: timestamp, apr }
+    })
+    .sort((a, b) => a.effectiveFrom - b.effectiveFrom)
+}
+
+/**
+ * Split a period of time in the intervals with a constant APR
+ * @param {Object[]} schedule       APR schedule returned by getAPRSchedule
+ * @param {Number} startTimestamp   Period start timestamp
+ * @param {Number} endTimestamp     Period end timestamp
+ * @return {Object[]}               Intervals with start time, duration and APR
+ *                                  (percent)
+ */
+exports.splitByAPR = function (schedule, startTimestamp, endTimestamp) {
+  const start = Number(startTimestamp)
+  const end = Number(endTimestamp)
+  if (end > start && start < schedule[0].effectiveFrom) {
+    throw new Error(`No APR defined before ${schedule[0].effectiveFrom}`)
+  }
+  return schedule
+    .map(({ effectiveFrom, apr }, i) => {
+      const next = schedule[i + 1]
+      const intervalStart = Math.max(start, effectiveFrom)
+      const intervalEnd = next ? Math.min(end, next.effectiveFrom) : end
+      return {
+        startTime: intervalStart,
+        duration: intervalEnd - intervalStart,
+        apr,
+      }
+    })
+    .filter((interval) => interval.duration > 0)
+}
@@ -0,0 +1,55 @@
+// Maximum number of entities returned by a subgraph query
+const PAGE_SIZE = 1000
+// Guard against paging forever if the subgraph keeps returning results
+const MAX_PAGES = 1000
+
+/**
+ * Run a graph-client query page by page until all the entities are fetched.
+ * Keyset pagination is used: the query must order the entities by id and
+ * return those with id greater than the `lastId` variable. Fails if a page
+ * looks truncated or out of order, since the results would be incomplete
+ * @param {Function} query          graph-client SDK query
+ * @param {Object} variables        Query variables, without paging ones
+ * @param {String} field            Result field with the list of entities
+ * @param {Number} pageSize         Number of entities requested per page
+ * @return {Object[]}               All the entities, ordered by id
+ */
+exports.queryAllPages = async function (
+  query,
+  variables,
+  field,
+  pageSize = PAGE_SIZE
+) {
+  const entities = []
+  let lastId = ""
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await query({ ...variables, first: pageSize, lastId })
+    const pageEntities = result[field]
+    if (!Array.isArray(pageEntities)) {
+      throw new Error(`Query result has no "${field}" list`)
+    }
+    if (pageEntities.length > pageSize) {
+      throw new Error(
+        `Query returned ${pageEntities.length} ${field}, more than the ` +
+          `${pageSize} requested: paging would be unreliable`
+      )
+    }
+    pageEntities.forEach((entity) => {
+      if (entity.id === undefined || entity.id <= lastId) {
+        throw new Error(
+          `Query returned ${field} not ordered by id after "${lastId}": ` +
+            "results would be truncated"
+        )
+      }
+      lastId = entity.id
+      entities.push(entity)
+    })
+    if (pageEntities.length < pageSize) {
+      return entities
+    }
+  }
+  throw new Error(
+    `Query returned more than ${MAX_PAGES} pages of ${field}: results ` +
+      "would be truncated"
+  )
+}
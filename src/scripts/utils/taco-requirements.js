@@ -0,0 +1,102 @@
+// Eligibility requirements of TACo stakes, analogous to the tBTCv2 rewards
+// requirements. A stake that doesn't satisfy any of the stake requirements
+// earns no rewards, and an authorization epoch that doesn't satisfy any of the
+// epoch requirements earns no rewards for that epoch
+
+const { BigNumber } = require("bignumber.js")
+const { ethers } = require("ethers")
+
+const IS_OPERATOR_BONDED = "isOperatorBonded"
+const IS_MIN_AUTHORIZATION_SATISFIED = "isMinAuthorizationSatisfied"
+const IS_UPTIME_SATISFIED = "isUptimeSatisfied"
+
+// Each requirement is checked only if the snapshot has the data it needs, so
+// snapshots taken before a requirement was introduced can still be replayed
+const REQUIREMENTS = [
+  {
+    name: IS_OPERATOR_BONDED,
+    isApplicable: () => true,
+    check: ({ operator }) =>
+      !!operator && operator !== ethers.constants.AddressZero,
+    reason: () => "operator not bonded at period end",
+  },
+  {
+    name: IS_UPTIME_SATISFIED,
+    isApplicable: (snapshot) => snapshot.uptime !== undefined,
+    check: ({ stakingProvider }, snapshot) =>
+      getUptime(stakingProvider, snapshot.uptime) >=
+      snapshot.uptime.requiredUptime,
+    reason: ({ stakingProvider }, snapshot) =>
+      `uptime ${getUptime(stakingProvider, snapshot.uptime)}% below ` +
+      `required ${snapshot.uptime.requiredUptime}%`,
+  },
+]
+
+// The minimum authorization is checked in each authorization epoch, so only
+// the time spent below it is left without rewards
+const EPOCH_REQUIREMENTS = [
+  {
+    name: IS_MIN_AUTHORIZATION_SATISFIED,
+    isApplicable: (snapshot) => snapshot.minimumAuthorization !== undefined,
+    check: ({ amount }, snapshot) =>
+      BigNumber(amount).gte(snapshot.minimumAuthorization),
+    reason: ({ amount }, snapshot) =>
+      `authorization ${amount} below minimum ` +
+      `${snapshot.minimumAuthorization}`,
+  },
+]
+
+//
+// Check the applicable requirements against some data, returning the result
+// of each one and the reasons of the failed ones
+//
+function checkRequirements(requirementsList, data, snapshot) {
+  const requirements = {}
+  const disqualificationReasons = []
+  requirementsList
+    .filter((requirement) => requirement.isApplicable(snapshot))
+    .forEach((requirement) => {
+      requirements[requirement.name] = requirement.check(data, snapshot)
+      if (!requirements[requirement.name]) {
+        disqualificationReasons.push(requirement.reason(data, snapshot))
+      }
+    })
+  return { requirements, disqualificationReasons }
+}
+
+//
+// Return the uptime (percent) of a staking provider, 0 if there is no data
+//
+function getUptime(stakingProvider, uptime) {
+  const entry = Object.entries(uptime.stakes).find(
+    ([address]) => address.toLowerCase() === stakingProvider.toLowerCase()
+  )
+  return entry ? Number(entry[1]) : 0
+}
+
+/**
+ * Check the eligibility requirements of a TACo stake
+ * @param {Object} stake            Stake data: stakingProvider and operator
+ *                                  bonded at period end
+ * @param {Object} snapshot         TACo subgraph snapshot, with the uptime
+ *                                  data if available
+ * @return {Object}                 Result of each applicable requirement and
+ *                                  the reasons of the disqualification, if any
+ */
+exports.checkTACoRequirements = function (stake, snapshot) {
+  return checkRequirements(REQUIREMENTS, stake, snapshot)
+}
+
+/**
+ * Check the eligibility requirements of an authorization epoch of a TACo stake
+ * @param {Object} epoch            Authorization epoch, with the authorized
+ *                                  amount
+ * @param {Object} snapshot         TACo subgraph snapshot, with the minimum
+ *                                  authorization if available
+ * @return {Object}                 Result of each applicable requirement and
+ *                                  the reasons why the epoch earns no rewards,
+ *                                  if any
+ */
+exports.checkTACoEpochRequirements = function (epoch, snapshot) {
+  return checkRequirements(EPOCH_REQUIREMENTS, epoch, snapshot)
+}
@@ -1,181 +1,341 @@
+const fs = require("fs")
 const { getBuiltGraphSDK } = require("../../../.graphclient")
 const { BigNumber } = require("bignumber.js")
 const { ethers } = require("ethers")
+const { queryAllPages } = require("./subgraph.js")
+const { getAPRSchedule, splitByAPR } = require("./rewards-policy.js")
+const {
+  checkTACoRequirements,
+  checkTACoEpochRequirements,
+} = require("./taco-requirements.js")
 
 const SECONDS_IN_YEAR = 31536000
+// TACoApplication contract in Ethereum mainnet
+const TACO_APPLICATION_ADDRESS = "0x347CC7ede7e5517bD47D20620B2CF1b406edcF07"
+const TACO_APPLICATION_ABI = [
+  "function minimumAuthorization() view returns (uint96)",
+]
 
-//
-// Return the TACo operators that have been confirmed before a timestamp
-// The graphqlClient passed must be for Polygon staking subgraph
-//
-async function getOpsConfirmedUntil(endTimestamp) {
-  const { TACoOperators } = getBuiltGraphSDK()
-  const { tacoOperators } = await TACoOperators({
-    endTimestamp: endTimestamp,
-    first: 3000,
-    skip: 0,
+/**
+ * Fetch the raw TACo operators and authorization history responses from the
+ * subgraphs until a timestamp, and the data used to check the eligibility
+ * requirements. Rewards can be calculated from this snapshot without querying
+ * the subgraphs again, which might have been reindexed
+ * @param {Number} endTimestamp     Snapshot end timestamp
+ * @param {Object} blocks           Ethereum mainnet and Polygon block numbers
+ *                                  the queries are pinned to, so the results
+ *                                  don't depend on when they are run
+ * @param {Object} provider         Ethereum mainnet provider, used to read the
+ *                                  TACo minimum authorization
+ * @param {Object} uptime           Optional uptime data: required uptime and
+ *                                  uptime (percent) of each staking provider
+ * @return {Object}                 Snapshot with the end timestamp, blocks,
+ *                                  the tacoOperators and appAuthHistories
+ *                                  lists, minimum authorization and uptime
+ */
+async function fetchTACoSnapshot(endTimestamp, blocks, provider, uptime) {
+  if (!Number.isInteger(blocks.mainnet) || !Number.isInteger(blocks.polygon)) {
+    throw new Error("Mainnet and Polygon blocks must be provided")
+  }
+  const { TACoOperators, TACoAuthHistoryQuery } = getBuiltGraphSDK()
+  // TACo operators are queried from Polygon staking subgraph
+  const tacoOperators = await queryAllPages(
+    TACoOperators,
+    { endTimestamp: endTimestamp, block: blocks.polygon },
+    "tacoOperators"
+  )
+  // TACo authorizations are queried from Ethereum mainnet staking subgraph
+  const appAuthHistories = await queryAllPages(
+    TACoAuthHistoryQuery,
+    { endTimestamp: endTimestamp, block: blocks.mainnet },
+    "appAuthHistories"
+  )
+  const tacoApplication = new ethers.Contract(
+    TACO_APPLICATION_ADDRESS,
+    TACO_APPLICATION_ABI,
+    provider
+  )
+  const minimumAuthorization = await tacoApplication.minimumAuthorization({
+    blockTag: blocks.mainnet,
   })
-
-  const opsConfirmed = tacoOperators.reduce((acc, cur) => {
-    acc[cur.id] = {
-      operator: cur.operator,
-      confirmedTimestamp: cur.confirmedTimestampFirstOperator,
-    }
-    return acc
-  }, {})
-
-  return opsConfirmed
+  return {
+    endTimestamp,
+    blocks,
+    minimumAuthorization: minimumAuthorization.toString(),
+    uptime,
+    tacoOperators,
+    appAuthHistories,
+  }
 }
 
 //
-// Return the history of TACo authorization changes until a given timestamp
-// The graphqlClient passed must be for Ethereum mainnet staking subgraph
+// Return the TACo operators that have been confirmed before a timestamp
 //
-async function getTACoAuthHistoryUntil(endTimestamp) {
-  const { TACoAuthHistoryQuery } = getBuiltGraphSDK()
-  const { appAuthHistories } = await TACoAuthHistoryQuery({
-    endTimestamp: endTimestamp,
-    first: 3000,
-    skip: 0,
-  })
-
-  // Let's convert this array into a dictionary
-  const authHistory = appAuthHistories.reduce((acc, curr) => {
-    const stakingProvider = curr.appAuthorization.stake.id
-    const historyElem = {
-      amount: curr.amount,
-      timestamp: curr.timestamp,
-      eventType: curr.eventType,
-      beneficiary: curr.appAuthorization.stake.beneficiary,
-    }
-    acc[stakingProvider] = acc[stakingProvider] || []
-    acc[stakingProvider].push(historyElem)
-    return acc
-  }, {})
-
-  return authHistory
+function getOpsConfirmedUntil(tacoOperators, endTimestamp) {
+  return tacoOperators
+    .filter(
+      (op) => Number(op.confirmedTimestampFirstOperator) <= Number(endTimestamp)
+    )
+    .reduce((acc, cur) => {
+      acc[cur.id] = {
+        operator: cur.operator,
+        confirmedTimestamp: cur.confirmedTimestampFirstOperator,
+      }
+      return acc
+    }, {})
 }
 
 //
-// Return the TACo rewards calculated for a period of time
+// Return the history of TACo authorization changes until a given timestamp,
+// indexed by staking provider
 //
-async function getTACoRewards(
+function getTACoAuthHistoryUntil(appAuthHistories, endTimestamp) {
+  return appAuthHistories
+    .filter((curr) => Number(curr.timestamp) <= Number(endTimestamp))
+    .reduce((acc, curr) => {
+      const stakingProvider = curr.appAuthorization.stake.id
+      const historyElem = {
+        amount: curr.amount,
+        timestamp: curr.timestamp,
+        eventType: curr.eventType,
+        beneficiary: curr.appAuthorization.stake.beneficiary,
+      }
+      acc[stakingProvider] = acc[stakingProvider] || []
+      acc[stakingProvider].push(historyElem)
+      return acc
+    }, {})
+}
+
+/**
+ * Build the authorization epochs of a stake in a rewards period. Each
+ * authorization event sets the authorized amount until the next event, and
+ * epochs are clipped to the period and to the operator confirmation, since
+ * no rewards are earned before it
+ * @param {Object[]} authHistory    Authorization events of the stake, with
+ *                                  amount, timestamp and beneficiary
+ * @param {Number} opConfirmedTimestamp Operator confirmation timestamp
+ * @param {Number} startPeriodTimestamp Rewards period start timestamp
+ * @param {Number} endPeriodTimestamp Rewards period end timestamp
+ * @return {Object[]}               Epochs with amount, startTime, duration and
+ *                                  beneficiary, sorted by start time
+ */
+function buildTACoEpochs(
+  authHistory,
+  opConfirmedTimestamp,
   startPeriodTimestamp,
-  endPeriodTimestamp,
-  tacoWeight
+  endPeriodTimestamp
 ) {
-  const opsConfirmed = await getOpsConfirmedUntil(endPeriodTimestamp)
-  const tacoAuthHistories = await getTACoAuthHistoryUntil(endPeriodTimestamp)
-
-  const confirmedAuthHistories = {}
-  // Filter those stakes that have not a confirmed operator and add the
-  // confirmed operator timestamp to every history event and it also adds
-  // which of these two timestamp is the greater
-  Object.keys(opsConfirmed).map((stProv) => {
-    if (tacoAuthHistories[stProv]) {
-      confirmedAuthHistories[stProv] = tacoAuthHistories[stProv].map(
-        (historyEvent) => {
-          const event = historyEvent
-          event.opConfirmedTimestamp = opsConfirmed[stProv].confirmedTimestamp
-          event.greatestTimestamp =
-            Number(event.timestamp) > Number(event.opConfirmedTimestamp)
-              ? Number(event.timestamp)
-              : Number(event.opConfirmedTimestamp)
-          return event
-        }
-      )
+  const rewardsStart = Math.max(
+    Number(startPeriodTimestamp),
+    Number(opConfirmedTimestamp)
+  )
+  const rewardsEnd = Number(endPeriodTimestamp)
+
+  const sortedEvents = [...authHistory].sort(
+    (a, b) => Number(a.timestamp) - Number(b.timestamp)
+  )
+
+  const epochs = []
+  sortedEvents.forEach((event, i) => {
+    const nextEvent = sortedEvents[i + 1]
+    const epochStart = Math.max(Number(event.timestamp), rewardsStart)
+    const epochEnd = nextEvent
+      ? Math.min(Number(nextEvent.timestamp), rewardsEnd)
+      : rewardsEnd
+    if (epochEnd > epochStart) {
+      epochs.push({
+        amount: event.amount,
+        startTime: epochStart,
+        duration: epochEnd - epochStart,
+        beneficiary: event.beneficiary,
+      })
     }
   })
 
-  const rewards = {}
-  Object.keys(confirmedAuthHistories).map((stProv) => {
-    // Take the first event: this is, the event whose timestamp or
-    // opConfirmedTimestamp (the oldest of both) is closer to (and preferably
-    // lower than) start period time
-    const firstEvent = confirmedAuthHistories[stProv].reduce((acc, cur) => {
-      const accTimestamp = Number(acc.timestamp)
-      const curTimestamp = Number(cur.timestamp)
-
-      let event = curTimestamp < accTimestamp ? cur : acc
-
-      // if both events are previous to start period, take the later
-      if (
-        curTimestamp < startPeriodTimestamp &&
-        accTimestamp < startPeriodTimestamp
-      ) {
-        event = curTimestamp > accTimestamp ? cur : acc
-      }
+  return epochs
+}
 
-      return event
-    }, confirmedAuthHistories[stProv][0])
+/**
+ * Calculate the TACo rewards earned in a set of authorization epochs. If the
+ * TACo APR changes within an epoch, each APR is applied pro-rata
+ * @param {Object[]} epochs         Authorization epochs, with amount, start
+ *                                  time and duration
+ * @param {Number} tacoWeight       TACo rewards weight
+ * @param {Object[]} aprSchedule    TACo APR schedule (default: the one in the
+ *                                  rewards policy)
+ * @return {BigNumber}              Rewards earned, not rounded
+ */
+function calculateTACoReward(
+  epochs,
+  tacoWeight,
+  aprSchedule = getAPRSchedule("taco")
+) {
+  const tacoAllocation = tacoWeight * 100
+  const conversion_denominator = 100 * 100
 
-    // discard the events previous to the first event
-    const filteredEvents = confirmedAuthHistories[stProv].filter(
-      (event) => Number(event.timestamp) >= Number(firstEvent.timestamp)
+  return epochs.reduce((total, cur) => {
+    const intervals = splitByAPR(
+      aprSchedule,
+      cur.startTime,
+      cur.startTime + cur.duration
     )
+    const epochReward = intervals.reduce(
+      (epochTotal, interval) =>
+        epochTotal.plus(
+          BigNumber(cur.amount)
+            .times(interval.apr)
+            .times(tacoAllocation)
+            .times(interval.duration)
+            .div(SECONDS_IN_YEAR * conversion_denominator)
+        ),
+      BigNumber(0)
+    )
+    return total.plus(epochReward)
+  }, BigNumber(0))
+}
 
-    // sorting the events
-    const sortedEvents = filteredEvents.sort(
-      (a, b) => Number(a.timestamp) < Number(b.timestamp)
+/**
+ * Calculate the TACo rewards for a period of time from a subgraph snapshot.
+ * Stakes that don't satisfy the eligibility requirements earn no rewards. If
+ * a details path is provided, the epochs, requirements and rewards of each
+ * stake are written to a <start>-<end>.json file in it
+ * @param {Object} snapshot         Snapshot returned by fetchTACoSnapshot, taken
+ *                                  at or after the period end
+ * @param {Number} startPeriodTimestamp Rewards period start timestamp
+ * @param {Number} endPeriodTimestamp Rewards period end timestamp
+ * @param {Number} tacoWeight       TACo rewards weight
+ * @param {String} rewardsDetailsPath Folder to write the rewards details to
+ * @return {Object}                 Rewards Merkle input
+ */
+function getTACoRewardsFromSnapshot(
+  snapshot,
+  startPeriodTimestamp,
+  endPeriodTimestamp,
+  tacoWeight,
+  rewardsDetailsPath
+) {
+  if (Number(snapshot.endTimestamp) < Number(endPeriodTimestamp)) {
+    throw new Error(
+      `TACo snapshot ends at ${snapshot.endTimestamp}, before the period ` +
+        `end ${endPeriodTimestamp}`
     )
+  }
+  const opsConfirmed = getOpsConfirmedUntil(
+    snapshot.tacoOperators,
+    endPeriodTimestamp
+  )
+  const tacoAuthHistories = getTACoAuthHistoryUntil(
+    snapshot.appAuthHistories,
+    endPeriodTimestamp
+  )
 
-    const epochs = []
-    // based on these auth events, let's create authorization epochs
-    for (let i = 0; i < sortedEvents.length; i++) {
-      let duration = 0
-      let epochStartTime = Number(sortedEvents[i].timestamp)
-      // first epoch start time has a special treatment
-      if (i === 0) {
-        // greatestTimestamp is the bigger value between event timestamp and
-        // operator confirmed timestamp
-        epochStartTime =
-          sortedEvents[i].greatestTimestamp < startPeriodTimestamp
-            ? startPeriodTimestamp
-            : sortedEvents[i].greatestTimestamp
-      }
+  const rewards = {}
+  const stakesDetails = []
+  // Stakes without a confirmed operator don't earn rewards
+  Object.keys(opsConfirmed)
+    .filter((stProv) => tacoAuthHistories[stProv])
+    .forEach((stProv) => {
+      const authHistory = tacoAuthHistories[stProv]
+      const epochs = buildTACoEpochs(
+        authHistory,
+        opsConfirmed[stProv].confirmedTimestamp,
+        startPeriodTimestamp,
+        endPeriodTimestamp
+      )
+      // Epochs not satisfying the requirements earn no rewards
+      const epochChecks = epochs.map((epoch) =>
+        checkTACoEpochRequirements(epoch, snapshot)
+      )
+      const epochRewards = epochs.map((epoch, i) =>
+        epochChecks[i].disqualificationReasons.length === 0
+          ? calculateTACoReward([epoch], tacoWeight)
+          : BigNumber(0)
+      )
 
-      if (sortedEvents[i + 1]) {
-        duration = Number(sortedEvents[i + 1].timestamp) - epochStartTime
-        // if no more events, the end timestamp is endPeriodTimestamp
-      } else {
-        duration = endPeriodTimestamp - epochStartTime
-      }
+      const stakingProvider = ethers.utils.getAddress(stProv)
+      const beneficiary = ethers.utils.getAddress(
+        epochs.length ? epochs[0].beneficiary : authHistory[0].beneficiary
+      )
+      const { requirements, disqualificationReasons } = checkTACoRequirements(
+        {
+          stakingProvider: stakingProvider,
+          operator: opsConfirmed[stProv].operator,
+        },
+        snapshot
+      )
 
-      const epoch = {
-        amount: sortedEvents[i].amount,
-        startTime: epochStartTime,
-        duration: duration,
-        beneficiary: sortedEvents[i].beneficiary,
+      // Disqualified stakes earn no rewards
+      let reward = BigNumber(0)
+      if (disqualificationReasons.length === 0) {
+        reward = epochRewards.reduce(
+          (total, epochReward) => total.plus(epochReward),
+          BigNumber(0)
+        )
+        rewards[stakingProvider] = {
+          beneficiary: beneficiary,
+          amount: reward.toFixed(0),
+        }
       }
-      epochs.push(epoch)
-    }
+      stakesDetails.push({
+        stakingProvider: stakingProvider,
+        beneficiary: beneficiary,
+        operator: opsConfirmed[stProv].operator,
+        operatorConfirmedTimestamp: Number(
+          opsConfirmed[stProv].confirmedTimestamp
+        ),
+        epochs: epochs.map((epoch, i) => ({
+          startTime: epoch.startTime,
+          duration: epoch.duration,
+          authorizedAmount: epoch.amount,
+          requirements: epochChecks[i].requirements,
+          disqualificationReasons: epochChecks[i].disqualificationReasons,
+          reward: epochRewards[i].toFixed(0),
+        })),
+        requirements: requirements,
+        disqualificationReasons: disqualificationReasons,
+        reward: reward.toFixed(0),
+      })
+    })
 
-    const rewardsAPR = 0.15 * 100
-    const tacoAllocation = tacoWeight * 100
-    const conversion_denominator = 100 * 100
-
-    // Calculating the rewards for each epoch
-    const reward = epochs.reduce((total, cur) => {
-      const epochReward = BigNumber(cur.amount)
-        .times(rewardsAPR)
-        .times(tacoAllocation)
-        .times(cur.duration)
-        .div(SECONDS_IN_YEAR * conversion_denominator)
-      return total.plus(epochReward)
-    }, BigNumber(0))
-
-    const stProvCheckSum = ethers.utils.getAddress(stProv)
-    const beneficiaryCheckSum = ethers.utils.getAddress(epochs[0].beneficiary)
-
-    rewards[stProvCheckSum] = {
-      beneficiary: beneficiaryCheckSum,
-      amount: reward.toFixed(0),
-    }
-  })
+  if (rewardsDetailsPath) {
+    fs.mkdirSync(rewardsDetailsPath, { recursive: true })
+    fs.writeFileSync(
+      `${rewardsDetailsPath}/${startPeriodTimestamp}-${endPeriodTimestamp}.json`,
+      JSON.stringify(stakesDetails, null, 4)
+    )
+  }
 
   return rewards
 }
 
+//
+// Return the TACo rewards calculated for a period of time, querying the
+// subgraphs at the given mainnet and Polygon blocks, and the contracts with
+// the given mainnet provider. The rewards details are written to the given
+// path, if any
+//
+async function getTACoRewards(
+  startPeriodTimestamp,
+  endPeriodTimestamp,
+  tacoWeight,
+  blocks,
+  provider,
+  rewardsDetailsPath
+) {
+  const snapshot = await fetchTACoSnapshot(endPeriodTimestamp, blocks, provider)
+  return getTACoRewardsFromSnapshot(
+    snapshot,
+    startPeriodTimestamp,
+    endPeriodTimestamp,
+    tacoWeight,
+    rewardsDetailsPath
+  )
+}
+
 module.exports = {
+  buildTACoEpochs,
+  calculateTACoReward,
+  fetchTACoSnapshot,
+  getTACoRewardsFromSnapshot,
   getTACoRewards,
 }
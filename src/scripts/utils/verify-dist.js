@@ -0,0 +1,113 @@
+const fs = require("fs")
+const { ethers } = require("ethers")
+const BigNumber = require("bignumber.js")
+const MerkleDist = require("./merkle_dist.js")
+const { DISTRIBUTIONS_FILE_PATH, readDistFile } = require("./distributions.js")
+
+//
+// Return true if the address is a valid checksummed address
+//
+function isChecksumAddress(address) {
+  try {
+    return ethers.utils.getAddress(address) === address
+  } catch (error) {
+    return false
+  }
+}
+
+//
+// Return the groups of staking providers that share the same key, for keys
+// generated by the given function
+//
+function findDuplicates(stakingProviders, keyFn) {
+  const groups = stakingProviders.reduce((acc, stakingProvider) => {
+    const key = keyFn(stakingProvider)
+    acc[key] = acc[key] || []
+    acc[key].push(stakingProvider)
+    return acc
+  }, {})
+  return Object.values(groups).filter((group) => group.length > 1)
+}
+
+/**
+ * Verify a published Merkle distribution: claim proofs, addresses checksum,
+ * duplicated leaves and staking providers, total amount and the cumulative
+ * amount registered in distributions.json
+ * @param {String} date             Distribution date (YYYY-MM-DD)
+ * @return {Object}                 Verification report
+ */
+exports.verifyMerkleDist = function (date) {
+  const merkleDist = readDistFile(date, "MerkleDist.json")
+  if (!merkleDist) {
+    throw new Error(`Distribution ${date} not found`)
+  }
+  const { merkleRoot, claims } = merkleDist
+  const stakingProviders = Object.keys(claims)
+
+  const invalidProofs = stakingProviders.filter((stakingProvider) => {
+    const { beneficiary, amount, proof } = claims[stakingProvider]
+    return !MerkleDist.verifyProof(
+      stakingProvider,
+      beneficiary,
+      amount,
+      proof,
+      merkleRoot
+    )
+  })
+
+  const invalidAddresses = []
+  stakingProviders.forEach((stakingProvider) => {
+    if (!isChecksumAddress(stakingProvider)) {
+      invalidAddresses.push({ stakingProvider, field: "stakingProvider" })
+    }
+    if (!isChecksumAddress(claims[stakingProvider].beneficiary)) {
+      invalidAddresses.push({ stakingProvider, field: "beneficiary" })
+    }
+  })
+
+  const duplicateLeaves = findDuplicates(stakingProviders, (stakingProvider) =>
+    MerkleDist.genMerkleLeaf(
+      stakingProvider,
+      claims[stakingProvider].beneficiary,
+      claims[stakingProvider].amount
+    )
+  )
+  const duplicateStakingProviders = findDuplicates(
+    stakingProviders,
+    (stakingProvider) => stakingProvider.toLowerCase()
+  )
+
+  const claimsTotal = MerkleDist.getTotalAmount(claims)
+  const distributions = JSON.parse(fs.readFileSync(DISTRIBUTIONS_FILE_PATH))
+  const registeredAmount = distributions.CumulativeAmountByDistribution[date]
+
+  const report = {
+    distribution: date,
+    merkleRoot,
+    claims: stakingProviders.length,
+    invalidProofs,
+    invalidAddresses,
+    duplicateLeaves,
+    duplicateStakingProviders,
+    totalAmount: {
+      declared: merkleDist.totalAmount,
+      sumOfClaims: claimsTotal,
+      matches: BigNumber(merkleDist.totalAmount).eq(claimsTotal),
+    },
+    cumulativeAmount: {
+      registered: registeredAmount,
+      matches:
+        registeredAmount !== undefined &&
+        BigNumber(registeredAmount).eq(merkleDist.totalAmount),
+    },
+  }
+  report.valid =
+    invalidProofs.length === 0 &&
+    invalidAddresses.length === 0 &&
+    duplicateLeaves.length === 0 &&
+    duplicateStakingProviders.length === 0 &&
+    report.totalAmount.matches &&
+    report.cumulativeAmount.matches
+
+  return report
+}
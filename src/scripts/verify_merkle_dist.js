@@ -1,50 +1,104 @@
-// Script that verifies if a claim proof of a specified account is valid
-// Use: node src/scripts/verify_merkle_dist.js <YYYY-MM-DD>
+// Script that verifies the claims proofs and the consistency of Merkle
+// distributions. Exits with a non-zero code if any check fails
+// Use: node src/scripts/verify_merkle_dist.js <YYYY-MM-DD...> [--json]
 
-const { MerkleTree } = require("merkletreejs")
-const BigNumber = require("bignumber.js")
-const keccak256 = require("keccak256")
 const fs = require("fs")
+const { program } = require("commander")
+const { verifyMerkleDist } = require("./utils/verify-dist.js")
+const { listDistributions } = require("./utils/distributions.js")
+const { printCheck } = require("./utils/report.js")
 
-function verifyProof(wallet, beneficiary, amount, proof, root) {
-  amount = BigNumber(amount)
-  const tree = new MerkleTree([], keccak256, { sortPairs: true })
-  const element =
-    wallet + beneficiary.substr(2) + amount.toString(16).padStart(64, "0")
-  const node = MerkleTree.bufferToHex(keccak256(element))
-  return tree.verify(proof, node, root)
+program
+  .description("Verify the claims proofs and consistency of distributions")
+  .argument("[dates...]", "distribution dates (YYYY-MM-DD)")
+  .option("-a, --all", "verify all the distributions")
+  .option("--json", "print the report in JSON format")
+  .option("-o, --output <file>", "write the JSON report to a file")
+  .parse(process.argv)
+
+//
+// Print a human readable verification report of a distribution
+//
+function printReport(report) {
+  console.log(`Distribution ${report.distribution} (${report.claims} claims)`)
+  printCheck(
+    "Proofs",
+    report.invalidProofs.length === 0,
+    `${report.invalidProofs.length} invalid`
+  )
+  report.invalidProofs.forEach((stakingProvider) =>
+    console.log(`  - ${stakingProvider}`)
+  )
+  printCheck(
+    "Checksum addresses",
+    report.invalidAddresses.length === 0,
+    `${report.invalidAddresses.length} invalid`
+  )
+  report.invalidAddresses.forEach(({ stakingProvider, field }) =>
+    console.log(`  - ${stakingProvider} (${field})`)
+  )
+  const duplicates = report.duplicateLeaves.concat(
+    report.duplicateStakingProviders
+  )
+  printCheck(
+    "Duplicates",
+    duplicates.length === 0,
+    `${duplicates.length} found`
+  )
+  duplicates.forEach((group) => console.log(`  - ${group.join(", ")}`))
+  printCheck(
+    "Total amount equals sum of claims",
+    report.totalAmount.matches,
+    `${report.totalAmount.declared} declared, ` +
+      `${report.totalAmount.sumOfClaims} sum of claims`
+  )
+  printCheck(
+    "Cumulative amount in distributions.json",
+    report.cumulativeAmount.matches,
+    `${report.cumulativeAmount.registered} registered`
+  )
 }
 
 function main() {
-  const args = process.argv.slice(2)
-  const distDate = args[0]
-  const proofPath = `distributions/${distDate}/MerkleDist.json`
-
-  let proofVerification = true
-
-  const json = JSON.parse(fs.readFileSync(proofPath, { encoding: "utf8" }))
-  if (typeof json !== "object") throw new Error("Invalid JSON")
-
-  const merkleRoot = json.merkleRoot
-  const claims = json.claims
-  Object.keys(claims).forEach((stakingProvider) => {
-    const beneficiary = claims[stakingProvider].beneficiary
-    const amount = claims[stakingProvider].amount
-    const proof = claims[stakingProvider].proof
-    const proofResult = verifyProof(
-      stakingProvider,
-      beneficiary,
-      amount,
-      proof,
-      merkleRoot
-    )
-
-    if (!proofResult) {
-      proofVerification = false
+  const options = program.opts()
+  const dates = options.all ? listDistributions() : program.args
+  if (dates.length === 0) {
+    console.error("Error: no distribution provided")
+    program.help({ error: true })
+  }
+
+  const reports = []
+  for (const date of dates) {
+    try {
+      reports.push(verifyMerkleDist(date))
+    } catch (err) {
+      reports.push({ distribution: date, error: err.message, valid: false })
     }
-  })
+  }
+  const result = {
+    valid: reports.every((report) => report.valid),
+    distributions: reports,
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(result, null, 4))
+  }
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 4))
+  } else {
+    reports.forEach((report) => {
+      if (report.error) {
+        console.error(`Error: ${report.error}`)
+      } else {
+        printReport(report)
+      }
+    })
+    console.log(result.valid ? "Verification passed" : "Verification failed")
+  }
 
-  console.log("Proof result: ", proofVerification)
+  if (!result.valid) {
+    process.exitCode = 1
+  }
 }
 
 main()
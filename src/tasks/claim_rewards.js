@@ -1,9 +1,148 @@
-const { task } = require("hardhat/config")
+const { task, types } = require("hardhat/config")
+const { BigNumber, constants, errors } = require("ethers")
 const fs = require("fs")
 const ora = require("ora")
-const simpleGit = require("simple-git")
+const { getRewardsContract } = require("./utils/rewards-contract")
+const { toSafeBatch } = require("./utils/safe-batch")
+const {
+  DEFAULT_IPFS_GATEWAY,
+  loadDistribution,
+} = require("./utils/dist-source")
+const { verifyProof } = require("../scripts/utils/merkle_dist")
+const {
+  splitByGas,
+  readProgress,
+  writeProgress,
+  removeProgress,
+} = require("./utils/claim-chunks")
 
-const MERKLE_ADDRESS = "0xeA7CA290c7811d1cC2e79f8d706bD05d8280BD37"
+const BATCH_CLAIM_MERKLE =
+  "batchClaim(bytes32,(address,address,uint256,bytes32[])[])"
+const BATCH_CLAIM_APPS = "batchClaim(address[])"
+
+//
+// Return the rewards pending to be claimed by each stake: the Merkle amount
+// (cumulative amount minus the already claimed one) and the TACo app rewards
+//
+async function getClaimableRewards(rewardsContract, distStakes) {
+  const claimable = {}
+  for (const stakingProvider of Object.keys(distStakes)) {
+    const claimed = await rewardsContract.cumulativeClaimed(stakingProvider)
+    const amount = BigNumber.from(distStakes[stakingProvider].amount)
+    claimable[stakingProvider] = {
+      merkle: amount.gt(claimed) ? amount.sub(claimed) : constants.Zero,
+      apps: await rewardsContract.availableRewards(stakingProvider),
+    }
+  }
+  return claimable
+}
+
+//
+// Transform the stake data to the batchClaim input format. Stakes without
+// Merkle rewards to claim get a zero amount and an empty proof, so only their
+// app rewards are claimed
+//
+function toMerkleClaim(stakingProvider, claimData, hasMerkleRewards) {
+  return {
+    stakingProvider,
+    beneficiary: claimData.beneficiary,
+    amount: hasMerkleRewards ? claimData.amount : 0,
+    proof: hasMerkleRewards ? claimData.proof : [],
+  }
+}
+
+//
+// Return the contract method and arguments of the claim: the combined claim if
+// both Merkle and app rewards are pending, and the Merkle-only or apps-only
+// claim otherwise
+//
+function getClaimCall(rewardsContract, merkleRoot, distStakes, claimable) {
+  const stakes = Object.keys(claimable)
+  const merkleStakes = stakes.filter(
+    (stake) => !claimable[stake].merkle.isZero()
+  )
+  const appsStakes = stakes.filter((stake) => !claimable[stake].apps.isZero())
+
+  if (appsStakes.length === 0) {
+    const batchClaim = merkleStakes.map((stake) =>
+      toMerkleClaim(stake, distStakes[stake], true)
+    )
+    return {
+      method: rewardsContract.isAggregator ? "batchClaimMerkle" : "batchClaim",
+      args: [merkleRoot, batchClaim],
+    }
+  }
+  if (merkleStakes.length === 0) {
+    return { method: BATCH_CLAIM_APPS, args: [appsStakes] }
+  }
+  const batchClaim = stakes.map((stake) =>
+    toMerkleClaim(stake, distStakes[stake], merkleStakes.includes(stake))
+  )
+  return { method: BATCH_CLAIM_MERKLE, args: [merkleRoot, batchClaim] }
+}
+
+//
+// Estimate the gas of claiming each stake on its own. Stakes whose claim would
+// fail are reported and excluded
+//
+async function estimateClaimGas(contract, stakes, getCall, overrides) {
+  const gasByStake = {}
+  for (const stake of stakes) {
+    const { method, args } = getCall([stake])
+    try {
+      gasByStake[stake] = await contract.estimateGas[method](...args, overrides)
+    } catch (error) {
+      console.log(
+        `Claim for ${stake} would fail (${error.reason || error}), excluded`
+      )
+    }
+  }
+  return gasByStake
+}
+
+//
+// Wait for the transactions sent in a previous run that had no receipt yet.
+// Those still without a receipt after the timeout are marked as unknown, to be
+// waited for again in the next run
+//
+async function waitForPendingTransactions(
+  provider,
+  progress,
+  confirmations,
+  timeout
+) {
+  for (const transaction of progress.transactions) {
+    if (transaction.status === "sent" || transaction.status === "unknown") {
+      try {
+        const receipt = await provider.waitForTransaction(
+          transaction.hash,
+          confirmations,
+          timeout
+        )
+        transaction.status = receipt.status === 1 ? "confirmed" : "failed"
+      } catch (error) {
+        if (error.code !== errors.TIMEOUT) {
+          throw error
+        }
+        console.log(`No receipt of ${transaction.hash} yet, status unknown`)
+        transaction.status = "unknown"
+      }
+    }
+  }
+}
+
+//
+// Remove the progress of a claim with nothing left to claim. It's kept while
+// the status of any of its transactions is unknown
+//
+function completeProgress(progressFile, progress) {
+  if (progress.transactions.some(({ status }) => status === "unknown")) {
+    console.log("Some transactions have an unknown status, run the task again")
+    console.log(`later to check them, they are stored in ${progressFile}`)
+    return
+  }
+  removeProgress(progressFile)
+}
 
 task(
   "claim-rewards",
@@ -13,7 +152,7 @@ task(
 
     const [claimer] = await ethers.getSigners()
 
-    let { stakingProvider, beneficiary } = taskArguments
+    let { stakingProvider, beneficiary, from } = taskArguments
 
     if (!stakingProvider && !beneficiary) {
       console.error("Staking provider or beneficiary address must be provided")
@@ -27,46 +166,42 @@ task(
       stakingProvider = stakingProvider
         ? ethers.utils.getAddress(stakingProvider)
         : null
+      from = from ? ethers.utils.getAddress(from) : null
     } catch (error) {
       console.error(`Error with address provided: ${error.reason}`)
       return
     }
 
-    const pullSpinner = ora("Looking for repository updates").start()
-    try {
-      const pullResult = await simpleGit().pull()
-      if (pullResult) {
-        if (pullResult.summary.changes) {
-          pullSpinner.stopAndPersist({ symbol: "✔" })
-          console.log("Repository has been updated")
-        } else {
-          pullSpinner.stopAndPersist({ symbol: "✔" })
-          console.log("No updates")
-        }
-      }
-    } catch (error) {
-      pullSpinner.stopAndPersist({ symbol: "✖️" })
-      console.error("Error running git pull:")
-      console.error(error.reason || error)
+    if (taskArguments.unsigned && !from) {
+      console.error("The address that will send the transactions (--from)")
+      console.error("must be provided to build unsigned transactions")
       return
     }
+    if (!taskArguments.unsigned && !taskArguments.dryRun) {
+      if (from) {
+        console.error("--from can only be used with --unsigned or --dry-run")
+        return
+      }
+      if (!claimer) {
+        console.error("No claimer account configured for this network")
+        console.error("Use --unsigned to build the transactions to be signed")
+        return
+      }
+    }
 
     let dist
-
-    // Take the last distribution JSON
     try {
-      const distsJson = JSON.parse(
-        fs.readFileSync("distributions/distributions.json")
-      )
-      const dists = Object.keys(
-        distsJson["CumulativeAmountByDistribution"]
-      ).sort()
-      const lastDist = dists[dists.length - 1]
-      dist = JSON.parse(
-        fs.readFileSync(`distributions/${lastDist}/MerkleDist.json`)
-      )
+      const loaded = await loadDistribution({
+        ref: taskArguments.distRef,
+        file: taskArguments.distFile,
+        url: taskArguments.distUrl,
+        ipfsGateway: taskArguments.ipfsGateway,
+      })
+      dist = loaded.dist
+      console.log(`Using ${loaded.description}`)
     } catch (error) {
-      console.error(error)
+      console.error("Error loading the distribution:")
+      console.error(error.message)
       return
     }
 
@@ -79,69 +214,329 @@ task(
         ([, claimData]) => claimData.beneficiary === beneficiary
       )
       if (filteredStakes.length === 0) {
-        console.error(`No stakes with beneficiary ${stakingProvider} found`)
+        console.error(`No stakes with beneficiary ${beneficiary} found`)
         return
       }
       distStakes = Object.fromEntries(filteredStakes)
     }
 
+    // Get the rewards contract of the network
+    let rewardsContract
+    try {
+      rewardsContract = await getRewardsContract(hre, taskArguments.address)
+    } catch (error) {
+      console.error(error.message)
+      return
+    }
+
     if (stakingProvider) {
-      if (!dist.claims[stakingProvider]) {
+      if (dist.claims[stakingProvider]) {
+        distStakes[stakingProvider] = dist.claims[stakingProvider]
+      } else if (rewardsContract.isAggregator) {
+        // The stake can still have app rewards to claim
+        distStakes[stakingProvider] = {
+          beneficiary: ethers.constants.AddressZero,
+          amount: "0",
+          proof: [],
+        }
+      } else {
         console.error(`No staking provider ${stakingProvider} found`)
         return
       }
-      distStakes[stakingProvider] = dist.claims[stakingProvider]
-    }
-
-    // Transform the data to batchClaim input format
-    const batchClaim = []
-    Object.keys(distStakes).map((stake) => {
-      const claim = {}
-      claim["stakingProvider"] = stake
-      claim["beneficiary"] = distStakes[stake].beneficiary
-      claim["amount"] = distStakes[stake].amount
-      claim["proof"] = distStakes[stake].proof
-      batchClaim.push(claim)
+    }
+
+    // The distribution must be the one set in the contract, and the proofs of
+    // the stakes to be claimed must be valid against its root
+    const merkleRootContract = await rewardsContract.contract.merkleRoot()
+    if (merkleRootContract !== merkleRootDist) {
+      console.error("Contract Merkle root and distribution doesn't match")
+      return
+    }
+    const invalidProofs = Object.entries(distStakes).filter(
+      ([stake, claimData]) =>
+        claimData.proof.length > 0 &&
+        !verifyProof(
+          stake,
+          claimData.beneficiary,
+          claimData.amount,
+          claimData.proof,
+          merkleRootDist
+        )
+    )
+    if (invalidProofs.length > 0) {
+      console.error("Invalid Merkle proofs in the distribution for:")
+      invalidProofs.forEach(([stake]) => console.error(`-- ${stake}`))
+      return
+    }
+
+    // Resume a previous run of the same claim: the stakes claimed in
+    // confirmed transactions are skipped
+    const progressFile = taskArguments.progressFile
+    const progressKey = {
+      network: hre.network.name,
+      contract: rewardsContract.address,
+      merkleRoot: merkleRootDist,
+    }
+    const progress = readProgress(progressFile, progressKey) || {
+      ...progressKey,
+      transactions: [],
+    }
+    if (progress.transactions.length > 0) {
+      console.log(`Resuming the claim stored in ${progressFile}`)
+      await waitForPendingTransactions(
+        ethers.provider,
+        progress,
+        taskArguments.confirmations,
+        taskArguments.waitTimeout * 1000
+      )
+      writeProgress(progressFile, progress)
+      progress.transactions.forEach((transaction) => {
+        transaction.stakingProviders.forEach((stake) => {
+          if (transaction.status === "confirmed") {
+            console.log(`${stake} already claimed in ${transaction.hash}`)
+            delete distStakes[stake]
+          } else if (transaction.status === "unknown") {
+            // Claiming it again would fail if the transaction is mined later
+            console.log(`${stake} excluded until ${transaction.hash} is known`)
+            delete distStakes[stake]
+          }
+        })
+      })
+    }
+
+    // Stakes with nothing to claim would revert the whole batch
+    const claimable = await getClaimableRewards(rewardsContract, distStakes)
+    Object.keys(claimable).forEach((stake) => {
+      if (claimable[stake].merkle.isZero() && claimable[stake].apps.isZero()) {
+        console.log(`Nothing to claim for ${stake}, excluded`)
+        delete claimable[stake]
+      }
     })
+    const stakes = Object.keys(claimable)
+    if (stakes.length === 0) {
+      console.error("No rewards to claim")
+      // The resumed claim is complete
+      if (progress.transactions.length > 0) {
+        completeProgress(progressFile, progress)
+      }
+      return
+    }
+
+    // Transactions are simulated from the claimer account, or from the
+    // given address when they are signed outside of this task
+    const contract =
+      claimer && !from
+        ? rewardsContract.contract.connect(claimer)
+        : rewardsContract.contract.connect(ethers.provider)
+    const overrides = from ? { from } : {}
+    const getCall = (chunkStakes) =>
+      getClaimCall(
+        rewardsContract,
+        merkleRootDist,
+        distStakes,
+        Object.fromEntries(
+          chunkStakes.map((stake) => [stake, claimable[stake]])
+        )
+      )
 
-    // Get the Merkle distribution contract
-    const merkleDistContract = await ethers.getContractAt(
-      "CumulativeMerkleDrop",
-      MERKLE_ADDRESS
+    // Split the claim in transactions that fit the gas limit
+    const gasByStake = await estimateClaimGas(
+      contract,
+      stakes,
+      getCall,
+      overrides
     )
-    try {
-      const merkleRootContract = await merkleDistContract.merkleRoot()
-      if (merkleRootContract !== merkleRootDist) {
-        console.error(
-          "Contract Merkle root and last distribution doesn't match"
+    const chunks = splitByGas(
+      stakes.filter((stake) => gasByStake[stake]),
+      gasByStake,
+      taskArguments.maxGasPerTx
+    )
+    if (chunks.length === 0) {
+      console.error("No rewards to claim")
+      return
+    }
+
+    if (taskArguments.unsigned) {
+      const { chainId } = await ethers.provider.getNetwork()
+      const transactions = []
+      for (const chunk of chunks) {
+        const { method, args } = getCall(chunk.stakes)
+        const tx = await contract.populateTransaction[method](...args)
+        const gas = await contract.estimateGas[method](...args, overrides)
+        transactions.push({
+          stakingProviders: chunk.stakes,
+          to: tx.to,
+          data: tx.data,
+          value: "0",
+          gasEstimate: gas.toString(),
+        })
+      }
+      const unsigned = {
+        network: hre.network.name,
+        chainId,
+        from,
+        contract: rewardsContract.address,
+        merkleRoot: merkleRootDist,
+        transactions,
+      }
+      const description =
+        `Claim of ${stakes.length} stakes from ${rewardsContract.name} ` +
+        `for Merkle root ${merkleRootDist}`
+      fs.writeFileSync(taskArguments.output, JSON.stringify(unsigned, null, 4))
+      fs.writeFileSync(
+        taskArguments.safeOutput,
+        JSON.stringify(
+          toSafeBatch(chainId, from, transactions, description),
+          null,
+          4
         )
-        return
+      )
+      console.log(
+        `${transactions.length} unsigned transactions written to ` +
+          `${taskArguments.output}`
+      )
+      console.log(
+        `Safe Transaction Builder batch written to ${taskArguments.safeOutput}`
+      )
+      return
+    }
+
+    if (taskArguments.dryRun) {
+      console.log("Dry run, the transactions will not be sent")
+      console.log("Rewards to be claimed by staking provider:")
+      stakes.forEach((stake) => {
+        const { merkle, apps } = claimable[stake]
+        console.log(
+          `-- ${stake}: ${ethers.utils.formatEther(merkle)} T Merkle, ` +
+            `${ethers.utils.formatEther(apps)} T TACo app`
+        )
+      })
+      console.log(
+        `Rewards contract ${rewardsContract.name} ${contract.address}`
+      )
+      for (const [i, chunk] of chunks.entries()) {
+        const { method, args } = getCall(chunk.stakes)
+        console.log(
+          `Transaction ${i + 1} of ${chunks.length}: ` +
+            `${chunk.stakes.length} stakes, method ${method}`
+        )
+        try {
+          await contract.callStatic[method](...args, overrides)
+          const gas = await contract.estimateGas[method](...args, overrides)
+          console.log(`  Estimated gas: ${gas.toString()}`)
+        } catch (error) {
+          console.error("  The claim transaction would fail:")
+          console.error(`  ${error.reason || error}`)
+        }
       }
-    } catch (error) {
-      console.error(`${error}`)
+      return
     }
 
     console.log("Claiming rewards for stakes with staking provider:")
-    Object.keys(distStakes).forEach((stake) => {
-      console.log(`-- ${stake}`)
-    })
+    chunks.forEach((chunk) =>
+      chunk.stakes.forEach((stake) => console.log(`-- ${stake}`))
+    )
     console.log(`Claimer address ${claimer.address}`)
-    const tranSpinner = ora("Sending transaction...").start()
+    console.log(`Rewards contract ${rewardsContract.name} ${contract.address}`)
 
-    // Call the batchClaim method in Merkle Distribution contract
-    try {
-      const tx = await merkleDistContract
-        .connect(claimer)
-        .batchClaim(merkleRootDist, batchClaim)
+    // Send the transactions one after the other, waiting for each receipt
+    let nonce = await claimer.getTransactionCount("pending")
+    for (const [i, chunk] of chunks.entries()) {
+      const { method, args } = getCall(chunk.stakes)
+      const tranSpinner = ora(
+        `Sending transaction ${i + 1} of ${chunks.length}...`
+      ).start()
+      const transaction = { stakingProviders: chunk.stakes }
+      try {
+        const tx = await contract[method](...args, { nonce })
+        nonce++
+        transaction.hash = tx.hash
+        transaction.status = "sent"
+        progress.transactions.push(transaction)
+        writeProgress(progressFile, progress)
 
-      tranSpinner.stopAndPersist({ symbol: "✔" })
-      console.log(`https://etherscan.io/tx/${tx.hash}/`)
-    } catch (error) {
-      tranSpinner.stopAndPersist({ symbol: "✖️" })
-      console.error("Error claiming the rewards:")
-      console.error(error.reason || error)
+        const receipt = await tx.wait(taskArguments.confirmations)
+        transaction.status = "confirmed"
+        transaction.blockNumber = receipt.blockNumber
+        transaction.gasUsed = receipt.gasUsed.toString()
+        writeProgress(progressFile, progress)
+        tranSpinner.stopAndPersist({ symbol: "✔" })
+        console.log(`https://etherscan.io/tx/${tx.hash}/`)
+      } catch (error) {
+        if (transaction.hash) {
+          transaction.status = "failed"
+          writeProgress(progressFile, progress)
+        }
+        tranSpinner.stopAndPersist({ symbol: "✖️" })
+        console.error("Error claiming the rewards:")
+        console.error(error.reason || error)
+        console.error("Run the task again to resume the claim")
+        return
+      }
     }
+    completeProgress(progressFile, progress)
+    console.log("All rewards claimed")
   }
 )
   .addOptionalParam("stakingProvider", "The staking provider address")
   .addOptionalParam("beneficiary", "The staking beneficiary address")
+  .addOptionalParam("address", "The rewards contract address")
+  .addFlag(
+    "dryRun",
+    "Simulate the claim and estimate its gas without sending it"
+  )
+  .addOptionalParam(
+    "maxGasPerTx",
+    "Maximum estimated gas of each claim transaction",
+    10000000,
+    types.int
+  )
+  .addOptionalParam(
+    "distRef",
+    "Git ref whose latest distribution is claimed, read without checkout"
+  )
+  .addOptionalParam("distFile", "Path of the MerkleDist.json file to claim")
+  .addOptionalParam(
+    "distUrl",
+    "URL or IPFS CID (ipfs://<cid>) of the MerkleDist.json file to claim"
+  )
+  .addOptionalParam(
+    "ipfsGateway",
+    "IPFS gateway used to download IPFS CIDs",
+    DEFAULT_IPFS_GATEWAY
+  )
+  .addFlag(
+    "unsigned",
+    "Build the unsigned transactions to be signed by a wallet or a Safe"
+  )
+  .addOptionalParam(
+    "from",
+    "Address that will send the transactions (e.g. Ledger account or Safe)"
+  )
+  .addOptionalParam(
+    "output",
+    "File where the unsigned transactions are written",
+    "claim-transactions.json"
+  )
+  .addOptionalParam(
+    "safeOutput",
+    "File where the Safe Transaction Builder batch is written",
+    "claim-safe-batch.json"
+  )
+  .addOptionalParam(
+    "progressFile",
+    "File where the claim progress is stored to be resumed",
+    "claim-progress.json"
+  )
+  .addOptionalParam(
+    "confirmations",
+    "Number of confirmations to wait for each claim transaction",
+    1,
+    types.int
+  )
+  .addOptionalParam(
+    "waitTimeout",
+    "Seconds to wait for each transaction pending from a previous run",
+    300,
+    types.int
+  )
@@ -0,0 +1,207 @@
+const { task } = require("hardhat/config")
+const { getRewardsContract } = require("./utils/rewards-contract")
+const {
+  DEFAULT_IPFS_GATEWAY,
+  loadDistribution,
+} = require("./utils/dist-source")
+const {
+  listDistributions,
+  readDistFile,
+} = require("../scripts/utils/distributions")
+
+const OLD_MERKLE_DROP_ABI = [
+  "function cumulativeClaimed(address stakingProvider) view returns (uint256)",
+]
+
+//
+// Return the cumulative amount of each stake in every local distribution up to
+// the checked one. If the checked distribution isn't in the local tree, it's
+// added after all of them
+//
+function getCumulativeAmounts(stakes, loaded) {
+  const history = []
+  let found = false
+  for (const date of listDistributions()) {
+    const { merkleRoot, claims } = readDistFile(date, "MerkleDist.json")
+    history.push({ date, claims })
+    if (merkleRoot === loaded.dist.merkleRoot) {
+      found = true
+      break
+    }
+  }
+  if (!found) {
+    history.push({ date: loaded.description, claims: loaded.dist.claims })
+  }
+  return history.map(({ date, claims }) => {
+    const amounts = {}
+    stakes.forEach((stake) => {
+      amounts[stake] = claims[stake] ? claims[stake].amount : "0"
+    })
+    return { date, amounts }
+  })
+}
+
+//
+// Split the unclaimed Merkle rewards of a stake by the distribution where
+// they were added
+//
+function getUnclaimedByDistribution(ethers, cumulativeAmounts, stake, claimed) {
+  const unclaimed = []
+  let previous = ethers.constants.Zero
+  cumulativeAmounts.forEach(({ date, amounts }) => {
+    const amount = ethers.BigNumber.from(amounts[stake])
+    const from = previous.gt(claimed) ? previous : claimed
+    if (amount.gt(from)) {
+      unclaimed.push({
+        distribution: date,
+        amount: amount.sub(from).toString(),
+      })
+    }
+    previous = amount
+  })
+  return unclaimed
+}
+
+task(
+  "claim-status",
+  "Show the claimed and claimable rewards of stakes without sending any transaction",
+  async function (taskArguments, hre) {
+    const { ethers } = hre
+    let { stakingProvider, beneficiary } = taskArguments
+
+    if (!stakingProvider && !beneficiary) {
+      console.error("Staking provider or beneficiary address must be provided")
+      console.log("For usage information, run")
+      console.log("  $ npx hardhat help claim-status")
+      return
+    }
+
+    try {
+      beneficiary = beneficiary ? ethers.utils.getAddress(beneficiary) : null
+      stakingProvider = stakingProvider
+        ? ethers.utils.getAddress(stakingProvider)
+        : null
+    } catch (error) {
+      console.error(`Error with address provided: ${error.reason}`)
+      return
+    }
+
+    let rewardsContract
+    let loaded
+    try {
+      rewardsContract = await getRewardsContract(hre, taskArguments.address)
+      loaded = await loadDistribution({
+        ref: taskArguments.distRef,
+        file: taskArguments.distFile,
+        url: taskArguments.distUrl,
+        ipfsGateway: taskArguments.ipfsGateway,
+      })
+    } catch (error) {
+      console.error(error.message)
+      return
+    }
+    const { dist } = loaded
+
+    // Until the distribution is set in the contract, its rewards can't be
+    // claimed yet
+    const merkleRootContract = await rewardsContract.contract.merkleRoot()
+    if (merkleRootContract !== dist.merkleRoot) {
+      console.warn(
+        `Warning: the root ${dist.merkleRoot} of ${loaded.description} ` +
+          `doesn't match the contract root ${merkleRootContract}, so the ` +
+          "claimable amounts can't be claimed yet"
+      )
+    }
+
+    const stakes = Object.keys(dist.claims).filter(
+      (stake) =>
+        stake === stakingProvider ||
+        dist.claims[stake].beneficiary === beneficiary
+    )
+    if (stakingProvider && !stakes.includes(stakingProvider)) {
+      stakes.push(stakingProvider)
+    }
+
+    // The aggregator falls back to the old contract claimed amounts
+    let oldMerkleDrop = null
+    if (rewardsContract.isAggregator) {
+      const oldAddress =
+        await rewardsContract.contract.oldCumulativeMerkleDrop()
+      oldMerkleDrop = await ethers.getContractAt(
+        OLD_MERKLE_DROP_ABI,
+        oldAddress
+      )
+    }
+    const cumulativeAmounts = getCumulativeAmounts(stakes, loaded)
+
+    const status = []
+    for (const stake of stakes) {
+      const claimData = dist.claims[stake]
+      const amount = ethers.BigNumber.from(claimData ? claimData.amount : 0)
+      const claimed = await rewardsContract.cumulativeClaimed(stake)
+      // Only the aggregator has an old contract to fall back to
+      const claimedOldContract = oldMerkleDrop
+        ? (await oldMerkleDrop.cumulativeClaimed(stake)).toString()
+        : null
+      const claimable = amount.gt(claimed)
+        ? amount.sub(claimed)
+        : ethers.constants.Zero
+      status.push({
+        stakingProvider: stake,
+        beneficiary: claimData ? claimData.beneficiary : null,
+        cumulativeAmount: amount.toString(),
+        claimed: claimed.toString(),
+        claimedOldContract,
+        claimable: claimable.toString(),
+        tacoAvailableRewards: (
+          await rewardsContract.availableRewards(stake)
+        ).toString(),
+        unclaimedByDistribution: getUnclaimedByDistribution(
+          ethers,
+          cumulativeAmounts,
+          stake,
+          claimed
+        ),
+      })
+    }
+
+    if (taskArguments.json) {
+      console.log(JSON.stringify(status, null, 4))
+      return
+    }
+    const format = (amount) =>
+      amount === null ? "-" : ethers.utils.formatEther(amount)
+    console.log(`Status against ${loaded.description}`)
+    console.table(
+      status.map((stake) => ({
+        "Staking provider": stake.stakingProvider,
+        "Cumulative (T)": format(stake.cumulativeAmount),
+        "Claimed (T)": format(stake.claimed),
+        "Claimed old contract (T)": format(stake.claimedOldContract),
+        "Claimable (T)": format(stake.claimable),
+        "TACo available (T)": format(stake.tacoAvailableRewards),
+        "Unclaimed since": stake.unclaimedByDistribution.length
+          ? stake.unclaimedByDistribution[0].distribution
+          : "-",
+      }))
+    )
+  }
+)
+  .addOptionalParam("stakingProvider", "The staking provider address")
+  .addOptionalParam("beneficiary", "The staking beneficiary address")
+  .addOptionalParam("address", "The rewards contract address")
+  .addOptionalParam(
+    "distRef",
+    "Git ref whose latest distribution is checked, read without checkout"
+  )
+  .addOptionalParam("distFile", "Path of the MerkleDist.json file to check")
+  .addOptionalParam(
+    "distUrl",
+    "URL or IPFS CID (ipfs://<cid>) of the MerkleDist.json file to check"
+  )
+  .addOptionalParam(
+    "ipfsGateway",
+    "IPFS gateway used to download IPFS CIDs",
+    DEFAULT_IPFS_GATEWAY
+  )
+  .addFlag("json", "Print the status in JSON format")
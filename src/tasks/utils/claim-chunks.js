@@ -0,0 +1,73 @@
+const fs = require("fs")
+
+/**
+ * Split the stakes in chunks whose estimated gas doesn't exceed the maximum.
+ * A stake whose gas exceeds the maximum on its own gets its own chunk
+ * @param {String[]} stakes         Staking providers to be claimed
+ * @param {Object} gasByStake       Estimated gas (BigNumber) by staking
+ *                                  provider
+ * @param {Number} maxGas           Maximum gas per chunk
+ * @return {Object[]}               Chunks with the staking providers and the
+ *                                  estimated gas
+ */
+function splitByGas(stakes, gasByStake, maxGas) {
+  const chunks = []
+  let current = { stakes: [], gas: 0 }
+  stakes.forEach((stake) => {
+    const gas = gasByStake[stake].toNumber()
+    if (current.stakes.length > 0 && current.gas + gas > maxGas) {
+      chunks.push(current)
+      current = { stakes: [], gas: 0 }
+    }
+    current.stakes.push(stake)
+    current.gas += gas
+  })
+  if (current.stakes.length > 0) {
+    chunks.push(current)
+  }
+  return chunks
+}
+
+/**
+ * Read the progress of a previous claim run. The progress is discarded if it
+ * belongs to a different network, contract or Merkle root
+ * @param {String} filePath         Progress file path
+ * @param {Object} key              Network, contract and Merkle root of the
+ *                                  current run
+ * @return {Object}                 Progress with the sent transactions, or
+ *                                  undefined if there is none to resume
+ */
+function readProgress(filePath, key) {
+  if (!fs.existsSync(filePath)) {
+    return undefined
+  }
+  const progress = JSON.parse(fs.readFileSync(filePath))
+  const sameRun = Object.keys(key).every(
+    (field) => progress[field] === key[field]
+  )
+  return sameRun ? progress : undefined
+}
+
+/**
+ * Write the progress of the current claim run
+ * @param {String} filePath         Progress file path
+ * @param {Object} progress         Progress with the sent transactions
+ */
+function writeProgress(filePath, progress) {
+  fs.writeFileSync(filePath, JSON.stringify(progress, null, 4))
+}
+
+/**
+ * Remove the progress of a claim run that has nothing left to claim
+ * @param {String} filePath         Progress file path
+ */
+function removeProgress(filePath) {
+  fs.rmSync(filePath, { force: true })
+}
+
+module.exports = {
+  splitByGas,
+  readProgress,
+  writeProgress,
+  removeProgress,
+}
@@ -0,0 +1,109 @@
+const fs = require("fs")
+const path = require("path")
+const simpleGit = require("simple-git")
+const {
+  DISTRIBUTIONS_PATH,
+  DISTRIBUTIONS_FILE_PATH,
+  getLatestDistribution,
+  readDistFile,
+} = require("../../scripts/utils/distributions")
+
+const DEFAULT_IPFS_GATEWAY = "https://ipfs.io"
+// CIDv0 (base58btc) or CIDv1 (base32)
+const CID_REGEX = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/
+
+//
+// Read the latest distribution of the local tree
+//
+function readLocal() {
+  const date = getLatestDistribution()
+  return {
+    description: `distribution ${date} of the local tree`,
+    dist: readDistFile(date, "MerkleDist.json"),
+  }
+}
+
+//
+// Read the latest distribution of a git ref without checking it out
+//
+async function readGitRef(ref) {
+  const git = simpleGit()
+  const distributions = JSON.parse(
+    await git.show([`${ref}:${DISTRIBUTIONS_FILE_PATH}`])
+  )
+  const date = getLatestDistribution(distributions)
+  const distFile = path.posix.join(DISTRIBUTIONS_PATH, date, "MerkleDist.json")
+  return {
+    description: `distribution ${date} of git ref ${ref}`,
+    dist: JSON.parse(await git.show([`${ref}:${distFile}`])),
+  }
+}
+
+//
+// Read a distribution from a local file
+//
+function readFile(filePath) {
+  return {
+    description: `file ${filePath}`,
+    dist: JSON.parse(fs.readFileSync(filePath)),
+  }
+}
+
+//
+// Download a distribution from a URL. IPFS CIDs (bare or as ipfs:// URLs) are
+// downloaded through the IPFS gateway
+//
+async function readUrl(url, ipfsGateway) {
+  let downloadUrl = url
+  if (url.startsWith("ipfs://")) {
+    downloadUrl = `${ipfsGateway}/ipfs/${url.slice("ipfs://".length)}`
+  } else if (CID_REGEX.test(url)) {
+    downloadUrl = `${ipfsGateway}/ipfs/${url}`
+  }
+  const response = await fetch(downloadUrl)
+  if (!response.ok) {
+    throw new Error(`Request to ${downloadUrl} failed: ${response.status}`)
+  }
+  return {
+    description: `URL ${downloadUrl}`,
+    dist: await response.json(),
+  }
+}
+
+/**
+ * Load the Merkle distribution to be claimed from one of the sources: the
+ * local tree (default), a git ref, a local file or a URL/IPFS CID
+ * @param {Object} source           Source options
+ * @param {String} [source.ref]     Git ref whose latest distribution is read
+ * @param {String} [source.file]    Path of a MerkleDist.json file
+ * @param {String} [source.url]     URL or IPFS CID of a MerkleDist.json file
+ * @param {String} [source.ipfsGateway]  IPFS gateway to download CIDs
+ * @return {Object}                 Source description and distribution
+ */
+async function loadDistribution(source) {
+  const { ref, file, url, ipfsGateway = DEFAULT_IPFS_GATEWAY } = source
+  if ([ref, file, url].filter((option) => option).length > 1) {
+    throw new Error("Only one distribution source can be provided")
+  }
+
+  let loaded
+  if (ref) {
+    loaded = await readGitRef(ref)
+  } else if (file) {
+    loaded = readFile(file)
+  } else if (url) {
+    loaded = await readUrl(url, ipfsGateway.replace(/\/$/, ""))
+  } else {
+    loaded = readLocal()
+  }
+
+  if (!loaded.dist || !loaded.dist.merkleRoot || !loaded.dist.claims) {
+    throw new Error(`No valid distribution found in ${loaded.description}`)
+  }
+  return loaded
+}
+
+module.exports = {
+  DEFAULT_IPFS_GATEWAY,
+  loadDistribution,
+}
@@ -0,0 +1,141 @@
+const fs = require("fs")
+const path = require("path")
+const { ethers } = require("ethers")
+
+const DEPLOYMENTS_PATH = path.join(__dirname, "../../../deployments")
+// Rewards contracts in order of preference
+const CONTRACT_NAMES = ["RewardsAggregator", "CumulativeMerkleDrop"]
+// Local networks are expected to fork mainnet, so its deployments are used
+const LOCAL_NETWORKS = ["hardhat", "localhost"]
+const ERC20_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+]
+const APPLICATION_ABI = [
+  "function availableRewards(address stakingProvider) view returns (uint96)",
+]
+
+//
+// Return the name of the network whose deployments must be used
+//
+function getDeploymentsNetwork(hre) {
+  const network = hre.network.name
+  return LOCAL_NETWORKS.includes(network) ? "mainnet" : network
+}
+
+//
+// Read a contract deployment file, return undefined if it doesn't exist
+//
+function readDeployment(network, contractName) {
+  const filePath = path.join(DEPLOYMENTS_PATH, network, `${contractName}.json`)
+  if (!fs.existsSync(filePath)) {
+    return undefined
+  }
+  return JSON.parse(fs.readFileSync(filePath))
+}
+
+//
+// Return the name of the rewards contract deployed at the given address.
+// RewardsAggregator is told apart by its oldCumulativeMerkleDrop() getter
+//
+async function detectContractName(hre, address) {
+  const aggregator = await hre.ethers.getContractAt(
+    "RewardsAggregator",
+    address
+  )
+  try {
+    await aggregator.oldCumulativeMerkleDrop()
+    return "RewardsAggregator"
+  } catch (error) {
+    return "CumulativeMerkleDrop"
+  }
+}
+
+//
+// Expose the getters that differ between both rewards contracts with common
+// names
+//
+function toRewardsContract(name, contract) {
+  const runner = contract.signer || contract.provider
+  const isAggregator = name === "RewardsAggregator"
+  return {
+    name,
+    address: contract.address,
+    contract,
+    isAggregator,
+    cumulativeClaimed: (stakingProvider) =>
+      isAggregator
+        ? contract.cumulativeMerkleClaimed(stakingProvider)
+        : contract.cumulativeClaimed(stakingProvider),
+    rewardsHolder: () =>
+      isAggregator ? contract.merkleRewardsHolder() : contract.rewardsHolder(),
+    availableRewards: async (stakingProvider) => {
+      if (!isAggregator) {
+        return ethers.BigNumber.from(0)
+      }
+      const application = new ethers.Contract(
+        await contract.application(),
+        APPLICATION_ABI,
+        runner
+      )
+      return application.availableRewards(stakingProvider)
+    },
+    token: async () =>
+      new ethers.Contract(await contract.token(), ERC20_ABI, runner),
+  }
+}
+
+/**
+ * Return the rewards contract deployed in a network: RewardsAggregator if
+ * deployed, the legacy CumulativeMerkleDrop otherwise. The getters that
+ * differ between both contracts are exposed with common names
+ * @param {String} network          Network whose deployments are used
+ * @param {Object} runner           Ethers provider or signer the contract is
+ *                                  connected to
+ * @return {Object}                 Contract name, address and instance, and
+ *                                  getters of the claimed amounts, app
+ *                                  available rewards, rewards holder and token
+ */
+function getDeployedRewardsContract(network, runner) {
+  const name = CONTRACT_NAMES.find((contractName) =>
+    readDeployment(network, contractName)
+  )
+  if (!name) {
+    throw new Error(`No rewards contract deployed in network ${network}`)
+  }
+  const deployment = readDeployment(network, name)
+  return toRewardsContract(
+    name,
+    new ethers.Contract(deployment.address, deployment.abi, runner)
+  )
+}
+
+/**
+ * Resolve the rewards contract of the current network, see
+ * getDeployedRewardsContract
+ * @param {Object} hre              Hardhat runtime environment
+ * @param {String} [address]        Contract address, overrides deployments
+ * @return {Object}                 Contract name, address and instance, and
+ *                                  getters of the claimed amounts, app
+ *                                  available rewards, rewards holder and token
+ */
+async function getRewardsContract(hre, address) {
+  if (address) {
+    const name = await detectContractName(hre, address)
+    return toRewardsContract(
+      name,
+      await hre.ethers.getContractAt(name, address)
+    )
+  }
+  const [signer] = await hre.ethers.getSigners()
+  return getDeployedRewardsContract(
+    getDeploymentsNetwork(hre),
+    signer || hre.ethers.provider
+  )
+}
+
+module.exports = {
+  getDeploymentsNetwork,
+  getDeployedRewardsContract,
+  getRewardsContract,
+}
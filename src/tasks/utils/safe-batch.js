@@ -0,0 +1,32 @@
+/**
+ * Build a batch file that can be imported in the Safe Transaction Builder
+ * @param {Number} chainId          Chain ID of the network
+ * @param {String} safeAddress      Address of the Safe that will execute the
+ *                                  transactions
+ * @param {Object[]} transactions   Unsigned transactions (to, data, value)
+ * @param {String} description      Description of the batch
+ * @return {Object}                 Safe Transaction Builder batch
+ */
+function toSafeBatch(chainId, safeAddress, transactions, description) {
+  return {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name: "Threshold rewards claim",
+      description,
+      createdFromSafeAddress: safeAddress,
+    },
+    transactions: transactions.map(({ to, data, value }) => ({
+      to,
+      value,
+      data,
+      contractMethod: null,
+      contractInputsValues: null,
+    })),
+  }
+}
+
+module.exports = {
+  toSafeBatch,
+}
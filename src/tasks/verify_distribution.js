@@ -0,0 +1,154 @@
+const { task } = require("hardhat/config")
+const { getRewardsContract } = require("./utils/rewards-contract")
+const {
+  getLatestDistribution,
+  readDistFile,
+} = require("../scripts/utils/distributions")
+const { printCheck } = require("../scripts/utils/report")
+
+// Number of staking providers whose claimed amount is queried concurrently
+const QUERY_BATCH_SIZE = 50
+
+//
+// Query the amount already claimed by each staking provider
+//
+async function getClaimedAmounts(rewardsContract, stakingProviders) {
+  const claimed = {}
+  for (let i = 0; i < stakingProviders.length; i += QUERY_BATCH_SIZE) {
+    const batch = stakingProviders.slice(i, i + QUERY_BATCH_SIZE)
+    const amounts = await Promise.all(
+      batch.map((stakingProvider) =>
+        rewardsContract.cumulativeClaimed(stakingProvider)
+      )
+    )
+    batch.forEach((stakingProvider, j) => {
+      claimed[stakingProvider] = amounts[j]
+    })
+  }
+  return claimed
+}
+
+//
+// Print a human readable report of the on-chain verification
+//
+function printReport(report) {
+  console.log(`Distribution ${report.distribution}`)
+  console.log(`${report.contract.name} at ${report.contract.address}`)
+  printCheck(
+    "Merkle root",
+    report.merkleRoot.matches,
+    report.merkleRoot.matches
+      ? report.merkleRoot.distribution
+      : `distribution ${report.merkleRoot.distribution}, ` +
+          `contract ${report.merkleRoot.contract}`
+  )
+  printCheck(
+    "Claimed amounts",
+    report.overclaimed.length === 0,
+    `${report.overclaimed.length} staking providers claimed more than ` +
+      "their cumulative amount"
+  )
+  report.overclaimed.forEach(({ stakingProvider, claimed, amount }) =>
+    console.log(`  - ${stakingProvider}: claimed ${claimed}, amount ${amount}`)
+  )
+  const { liability, rewardsHolder } = report
+  console.log(`Outstanding liability: ${liability}`)
+  printCheck(
+    "Rewards holder balance",
+    rewardsHolder.balanceCovers,
+    `${rewardsHolder.balance} (${rewardsHolder.address})`
+  )
+  printCheck(
+    "Rewards holder allowance",
+    rewardsHolder.allowanceCovers,
+    rewardsHolder.allowance
+  )
+  console.log(report.valid ? "Verification passed" : "Verification failed")
+}
+
+task(
+  "verify-distribution",
+  "Verify a distribution against the on-chain Merkle root and claimed state",
+  async function (taskArguments, hre) {
+    const { ethers } = hre
+    const date = taskArguments.date || getLatestDistribution()
+    const dist = readDistFile(date, "MerkleDist.json")
+    if (!dist) {
+      console.error(`Distribution ${date} not found`)
+      process.exitCode = 1
+      return
+    }
+
+    let rewardsContract
+    try {
+      rewardsContract = await getRewardsContract(hre, taskArguments.address)
+    } catch (error) {
+      console.error(error.message)
+      process.exitCode = 1
+      return
+    }
+
+    const contractRoot = await rewardsContract.contract.merkleRoot()
+    const stakingProviders = Object.keys(dist.claims)
+    const claimed = await getClaimedAmounts(rewardsContract, stakingProviders)
+
+    const overclaimed = []
+    let liability = ethers.BigNumber.from(0)
+    stakingProviders.forEach((stakingProvider) => {
+      const amount = ethers.BigNumber.from(dist.claims[stakingProvider].amount)
+      if (claimed[stakingProvider].gt(amount)) {
+        overclaimed.push({
+          stakingProvider,
+          claimed: claimed[stakingProvider].toString(),
+          amount: amount.toString(),
+        })
+      } else {
+        liability = liability.add(amount.sub(claimed[stakingProvider]))
+      }
+    })
+
+    const holder = await rewardsContract.rewardsHolder()
+    const token = await rewardsContract.token()
+    const balance = await token.balanceOf(holder)
+    const allowance = await token.allowance(holder, rewardsContract.address)
+
+    const report = {
+      distribution: date,
+      contract: {
+        name: rewardsContract.name,
+        address: rewardsContract.address,
+      },
+      merkleRoot: {
+        distribution: dist.merkleRoot,
+        contract: contractRoot,
+        matches: contractRoot === dist.merkleRoot,
+      },
+      overclaimed,
+      liability: liability.toString(),
+      rewardsHolder: {
+        address: holder,
+        balance: balance.toString(),
+        allowance: allowance.toString(),
+        balanceCovers: balance.gte(liability),
+        allowanceCovers: allowance.gte(liability),
+      },
+    }
+    report.valid =
+      report.merkleRoot.matches &&
+      overclaimed.length === 0 &&
+      report.rewardsHolder.balanceCovers &&
+      report.rewardsHolder.allowanceCovers
+
+    if (taskArguments.json) {
+      console.log(JSON.stringify(report, null, 4))
+    } else {
+      printReport(report)
+    }
+    if (!report.valid) {
+      process.exitCode = 1
+    }
+  }
+)
+  .addOptionalParam("date", "Distribution date (YYYY-MM-DD), latest if omitted")
+  .addOptionalParam("address", "Rewards contract address")
+  .addFlag("json", "Print the report in JSON format")
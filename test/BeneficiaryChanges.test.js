@@ -0,0 +1,66 @@
+const { expect } = require("chai")
+const { describe, it } = require("mocha")
+
+const {
+  detectBeneficiaryChanges,
+  addUnclaimedAmounts,
+  getUnacknowledgedChanges,
+} = require("../src/scripts/utils/beneficiary-changes")
+
+const stakingProvider1 = "0x2f9e94217C3f3493A2E65676E0F409fF5642A9AC"
+const stakingProvider2 = "0x005511deD6Aa2012DaE1307290779ED52639cCee"
+const beneficiary1 = "0x9eeE3a95f91b23f2bC186B5977E2fC9d4636a229"
+const beneficiary2 = "0xB63853FaD9533AB4518dD1a5FA21bE2988D66508"
+
+const prevMerkleInput = {
+  [stakingProvider1]: { beneficiary: beneficiary1, amount: "1000" },
+  [stakingProvider2]: { beneficiary: beneficiary1, amount: "2000" },
+}
+const merkleInput = {
+  [stakingProvider1]: { beneficiary: beneficiary2, amount: "1500" },
+  [stakingProvider2]: {
+    beneficiary: beneficiary1.toLowerCase(),
+    amount: "2500",
+  },
+}
+
+describe("Beneficiary changes", function () {
+  it("should detect the beneficiary changes", function () {
+    const changes = detectBeneficiaryChanges(prevMerkleInput, merkleInput)
+
+    expect(changes).to.deep.equal([
+      {
+        stakingProvider: stakingProvider1,
+        previousBeneficiary: beneficiary1,
+        newBeneficiary: beneficiary2,
+        previousCumulativeAmount: "1000",
+        newCumulativeAmount: "1500",
+      },
+    ])
+  })
+
+  it("should calculate the unclaimed amounts", async function () {
+    const changes = detectBeneficiaryChanges(prevMerkleInput, merkleInput)
+
+    await addUnclaimedAmounts(changes, async () => "800")
+
+    expect(changes[0].claimedAmount).to.equal("800")
+    expect(changes[0].unclaimedAmount).to.equal("700")
+  })
+
+  it("should only accept the changes in the allowlist", function () {
+    const changes = detectBeneficiaryChanges(prevMerkleInput, merkleInput)
+
+    expect(getUnacknowledgedChanges(changes, {})).to.have.lengthOf(1)
+    expect(
+      getUnacknowledgedChanges(changes, {
+        [stakingProvider1.toLowerCase()]: beneficiary1.toLowerCase(),
+      })
+    ).to.have.lengthOf(1)
+    expect(
+      getUnacknowledgedChanges(changes, {
+        [stakingProvider1.toLowerCase()]: beneficiary2.toLowerCase(),
+      })
+    ).to.be.empty
+  })
+})
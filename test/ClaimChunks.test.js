@@ -0,0 +1,85 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { expect } = require("chai")
+const { describe, it } = require("mocha")
+const { BigNumber } = require("ethers")
+const fc = require("fast-check")
+
+const {
+  splitByGas,
+  readProgress,
+  writeProgress,
+  removeProgress,
+} = require("../src/tasks/utils/claim-chunks")
+
+const progressKey = {
+  network: "mainnet",
+  contract: "0xE8f0e6A8A3d9e2C48B2D18c8Bd1A5aF1Bc7e9c05",
+  merkleRoot:
+    "0x28616041cc8996bb45dd8902be2495abf8ef9df01f058714ec9a608e47cab264",
+}
+
+describe("Claim chunks", function () {
+  it("should split the stakes by gas", function () {
+    const gasByStake = {
+      a: BigNumber.from(400),
+      b: BigNumber.from(500),
+      c: BigNumber.from(200),
+      d: BigNumber.from(1500),
+    }
+
+    expect(splitByGas(["a", "b", "c", "d"], gasByStake, 1000)).to.deep.equal([
+      { stakes: ["a", "b"], gas: 900 },
+      { stakes: ["c"], gas: 200 },
+      { stakes: ["d"], gas: 1500 },
+    ])
+  })
+
+  it("should keep every stake in order within the gas limit", function () {
+    fc.assert(
+      fc.property(
+        fc.array(fc.integer({ min: 1, max: 2000 }), { maxLength: 50 }),
+        fc.integer({ min: 1, max: 3000 }),
+        (gases, maxGas) => {
+          const stakes = gases.map((gas, i) => `stake${i}`)
+          const gasByStake = Object.fromEntries(
+            stakes.map((stake, i) => [stake, BigNumber.from(gases[i])])
+          )
+
+          const chunks = splitByGas(stakes, gasByStake, maxGas)
+
+          expect(chunks.flatMap((chunk) => chunk.stakes)).to.deep.equal(stakes)
+          // Only a stake over the limit on its own exceeds it
+          chunks
+            .filter((chunk) => chunk.gas > maxGas)
+            .forEach((chunk) => expect(chunk.stakes).to.have.lengthOf(1))
+        }
+      )
+    )
+  })
+
+  it("should resume the progress of the same claim", function () {
+    const filePath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "claim-")),
+      "claim-progress.json"
+    )
+    const progress = {
+      ...progressKey,
+      transactions: [{ stakingProviders: ["a"], hash: "0x1", status: "sent" }],
+    }
+
+    expect(readProgress(filePath, progressKey)).to.be.undefined
+    writeProgress(filePath, progress)
+    expect(readProgress(filePath, progressKey)).to.deep.equal(progress)
+    expect(
+      readProgress(filePath, {
+        ...progressKey,
+        merkleRoot: BigNumber.from(0).toHexString(),
+      })
+    ).to.be.undefined
+
+    removeProgress(filePath)
+    expect(fs.existsSync(filePath)).to.be.false
+  })
+})
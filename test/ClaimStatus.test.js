@@ -0,0 +1,106 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { expect } = require("chai")
+const { describe, it, before } = require("mocha")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+
+const {
+  claimAccounts,
+  claimDist: dist,
+  deployClaimFixture,
+  runTask,
+} = require("./utils")
+const {
+  TOTAL_INPUT_FILE,
+  getLatestDistribution,
+  readDistFile,
+} = require("../src/scripts/utils/distributions")
+
+describe("claim-status", function () {
+  const distFile = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "claim-")),
+    "MerkleDist.json"
+  )
+
+  before(function () {
+    fs.writeFileSync(distFile, JSON.stringify(dist))
+  })
+
+  it("should show the claimable rewards of a stake", async function () {
+    const { rewardsAggregator } = await loadFixture(deployClaimFixture)
+    const localDist = readDistFile(getLatestDistribution(), "MerkleDist.json")
+    await rewardsAggregator.setMerkleRoot(localDist.merkleRoot)
+    const totalInput = readDistFile(getLatestDistribution(), TOTAL_INPUT_FILE)
+    const stakingProvider = Object.keys(totalInput)[0]
+
+    const output = await runTask("claim-status", {
+      address: rewardsAggregator.address,
+      stakingProvider,
+      json: true,
+    })
+
+    const [status] = JSON.parse(output.join("\n"))
+    expect(status.stakingProvider).to.equal(stakingProvider)
+    expect(status.cumulativeAmount).to.equal(totalInput[stakingProvider].amount)
+    expect(status.claimed).to.equal("0")
+    expect(status.claimedOldContract).to.equal("0")
+    expect(status.claimable).to.equal(totalInput[stakingProvider].amount)
+    expect(status.tacoAvailableRewards).to.equal("100000")
+    expect(status.unclaimedByDistribution).to.not.be.empty
+  })
+
+  it("should warn if the distribution isn't set in the contract", async function () {
+    const { rewardsAggregator } = await loadFixture(deployClaimFixture)
+    const localDist = readDistFile(getLatestDistribution(), "MerkleDist.json")
+
+    const output = await runTask("claim-status", {
+      address: rewardsAggregator.address,
+      stakingProvider: claimAccounts.stakingProvider1,
+      json: true,
+    })
+
+    expect(output[0]).to.equal(
+      `Warning: the root ${localDist.merkleRoot} of distribution ` +
+        `${getLatestDistribution()} of the local tree doesn't match the ` +
+        `contract root ${dist.merkleRoot}, so the claimable amounts can't ` +
+        "be claimed yet"
+    )
+  })
+
+  it("should show the status of a distribution file", async function () {
+    const { rewardsAggregator } = await loadFixture(deployClaimFixture)
+
+    const output = await runTask("claim-status", {
+      address: rewardsAggregator.address,
+      beneficiary: claimAccounts.beneficiary,
+      distFile,
+      json: true,
+    })
+
+    const status = JSON.parse(output.join("\n"))
+    expect(status.map((stake) => stake.claimable)).to.deep.equal([
+      "1000000",
+      "2000000",
+    ])
+    expect(status[0].unclaimedByDistribution.at(-1)).to.deep.equal({
+      distribution: `file ${distFile}`,
+      amount: "1000000",
+    })
+  })
+
+  it("should not show old contract claims without an aggregator", async function () {
+    const { oldCumulativeMerkleDrop } = await loadFixture(deployClaimFixture)
+
+    const output = await runTask("claim-status", {
+      address: oldCumulativeMerkleDrop.address,
+      stakingProvider: claimAccounts.stakingProvider1,
+      distFile,
+      json: true,
+    })
+
+    const [status] = JSON.parse(output.join("\n"))
+    expect(status.claimable).to.equal("1000000")
+    expect(status.claimedOldContract).to.be.null
+  })
+})
@@ -0,0 +1,385 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const hre = require("hardhat")
+const { expect } = require("chai")
+const { describe, it, before, afterEach } = require("mocha")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+
+const {
+  claimAccounts,
+  claimDist: dist,
+  APP_REWARDS,
+  deployClaimFixture,
+  runTask,
+} = require("./utils")
+const {
+  getDeployedRewardsContract,
+  getRewardsContract,
+} = require("../src/tasks/utils/rewards-contract")
+const { loadDistribution } = require("../src/tasks/utils/dist-source")
+const { writeProgress } = require("../src/tasks/utils/claim-chunks")
+const {
+  getLatestDistribution,
+  readDistFile,
+} = require("../src/scripts/utils/distributions")
+
+const { ethers } = hre
+const {
+  stakingProvider1,
+  stakingProvider2,
+  stakingProvider3,
+  beneficiary,
+  otherBeneficiary,
+} = claimAccounts
+
+describe("Claim tasks", function () {
+  const tmpPath = fs.mkdtempSync(path.join(os.tmpdir(), "claim-"))
+  const distFile = path.join(tmpPath, "MerkleDist.json")
+  const progressFile = path.join(tmpPath, "claim-progress.json")
+
+  before(function () {
+    fs.writeFileSync(distFile, JSON.stringify(dist))
+  })
+
+  afterEach(function () {
+    process.exitCode = undefined
+  })
+
+  describe("rewards contract resolution", function () {
+    it("should resolve RewardsAggregator", async function () {
+      const { rewardsHolder, rewardsAggregator } = await loadFixture(
+        deployClaimFixture
+      )
+
+      const rewardsContract = await getRewardsContract(
+        hre,
+        rewardsAggregator.address
+      )
+
+      expect(rewardsContract.name).to.equal("RewardsAggregator")
+      expect(rewardsContract.isAggregator).to.be.true
+      expect(await rewardsContract.rewardsHolder()).to.equal(
+        rewardsHolder.address
+      )
+      expect(await rewardsContract.availableRewards(stakingProvider1)).to.equal(
+        100000
+      )
+      expect(
+        await rewardsContract.cumulativeClaimed(stakingProvider1)
+      ).to.equal(0)
+    })
+
+    it("should resolve CumulativeMerkleDrop", async function () {
+      const { rewardsHolder, oldCumulativeMerkleDrop } = await loadFixture(
+        deployClaimFixture
+      )
+
+      const rewardsContract = await getRewardsContract(
+        hre,
+        oldCumulativeMerkleDrop.address
+      )
+
+      expect(rewardsContract.name).to.equal("CumulativeMerkleDrop")
+      expect(rewardsContract.isAggregator).to.be.false
+      expect(await rewardsContract.rewardsHolder()).to.equal(
+        rewardsHolder.address
+      )
+      expect(await rewardsContract.availableRewards(stakingProvider1)).to.equal(
+        0
+      )
+    })
+
+    it("should resolve the contract deployed in a network", function () {
+      const deployment = JSON.parse(
+        fs.readFileSync("deployments/mainnet/CumulativeMerkleDrop.json")
+      )
+
+      const rewardsContract = getDeployedRewardsContract(
+        "mainnet",
+        ethers.provider
+      )
+
+      expect(rewardsContract.name).to.equal("CumulativeMerkleDrop")
+      expect(rewardsContract.address).to.equal(deployment.address)
+      expect(rewardsContract.contract.provider).to.equal(ethers.provider)
+    })
+  })
+
+  describe("claim-rewards", function () {
+    it("should claim Merkle and app rewards through RewardsAggregator", async function () {
+      const { token, rewardsAggregator } = await loadFixture(deployClaimFixture)
+
+      await runTask("claim-rewards", {
+        address: rewardsAggregator.address,
+        beneficiary,
+        distFile,
+        progressFile,
+      })
+
+      expect(
+        await rewardsAggregator.cumulativeMerkleClaimed(stakingProvider1)
+      ).to.equal(1000000)
+      expect(
+        await rewardsAggregator.cumulativeMerkleClaimed(stakingProvider2)
+      ).to.equal(2000000)
+      expect(
+        await rewardsAggregator.cumulativeMerkleClaimed(stakingProvider3)
+      ).to.equal(0)
+      expect(await token.balanceOf(beneficiary)).to.equal(3000000)
+      expect(await token.balanceOf(stakingProvider1)).to.equal(APP_REWARDS)
+      expect(await token.balanceOf(stakingProvider2)).to.equal(APP_REWARDS)
+      expect(fs.existsSync(progressFile)).to.be.false
+    })
+
+    it("should only claim app rewards if the Merkle rewards were claimed", async function () {
+      const { token, rewardsAggregator } = await loadFixture(deployClaimFixture)
+      await runTask("claim-rewards", {
+        address: rewardsAggregator.address,
+        stakingProvider: stakingProvider1,
+        distFile,
+        progressFile,
+      })
+
+      await runTask("claim-rewards", {
+        address: rewardsAggregator.address,
+        stakingProvider: stakingProvider1,
+        distFile,
+        progressFile,
+      })
+
+      expect(await token.balanceOf(beneficiary)).to.equal(1000000)
+      expect(await token.balanceOf(stakingProvider1)).to.equal(2 * APP_REWARDS)
+    })
+
+    it("should claim only Merkle rewards through CumulativeMerkleDrop", async function () {
+      const { token, oldCumulativeMerkleDrop } = await loadFixture(
+        deployClaimFixture
+      )
+
+      await runTask("claim-rewards", {
+        address: oldCumulativeMerkleDrop.address,
+        beneficiary,
+        distFile,
+        progressFile,
+      })
+
+      expect(
+        await oldCumulativeMerkleDrop.cumulativeClaimed(stakingProvider2)
+      ).to.equal(2000000)
+      expect(await token.balanceOf(beneficiary)).to.equal(3000000)
+      expect(await token.balanceOf(stakingProvider1)).to.equal(0)
+    })
+  })
+
+  describe("claim-rewards dry run", function () {
+    it("should not send any transaction in a dry run", async function () {
+      const { token, rewardsAggregator } = await loadFixture(deployClaimFixture)
+
+      const output = await runTask("claim-rewards", {
+        address: rewardsAggregator.address,
+        beneficiary,
+        distFile,
+        progressFile,
+        dryRun: true,
+      })
+
+      expect(output).to.include("Dry run, the transactions will not be sent")
+      expect(output.some((line) => line.includes("Estimated gas"))).to.be.true
+      expect(await token.balanceOf(beneficiary)).to.equal(0)
+    })
+  })
+
+  describe("claim-rewards in several transactions", function () {
+    it("should split the claim in transactions by gas", async function () {
+      const { rewardsAggregator } = await loadFixture(deployClaimFixture)
+      const blockNumber = await ethers.provider.getBlockNumber()
+
+      await runTask("claim-rewards", {
+        address: rewardsAggregator.address,
+        beneficiary,
+        distFile,
+        progressFile,
+        maxGasPerTx: 1,
+      })
+
+      // One block per transaction, each one claiming a single stake
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber + 2)
+      expect(
+        await rewardsAggregator.cumulativeMerkleClaimed(stakingProvider2)
+      ).to.equal(2000000)
+    })
+
+    it("should resume a claim skipping the claimed stakes", async function () {
+      const { token, rewardsAggregator } = await loadFixture(deployClaimFixture)
+      writeProgress(progressFile, {
+        network: hre.network.name,
+        contract: rewardsAggregator.address,
+        merkleRoot: dist.merkleRoot,
+        transactions: [
+          {
+            stakingProviders: [stakingProvider1],
+            hash: ethers.constants.HashZero,
+            status: "confirmed",
+          },
+        ],
+      })
+
+      await runTask("claim-rewards", {
+        address: rewardsAggregator.address,
+        beneficiary,
+        distFile,
+        progressFile,
+      })
+
+      expect(await token.balanceOf(beneficiary)).to.equal(2000000)
+      expect(fs.existsSync(progressFile)).to.be.false
+    })
+
+    it("should remove the progress of a resumed claim with nothing left", async function () {
+      const { token, rewardsAggregator } = await loadFixture(deployClaimFixture)
+      writeProgress(progressFile, {
+        network: hre.network.name,
+        contract: rewardsAggregator.address,
+        merkleRoot: dist.merkleRoot,
+        transactions: [
+          {
+            stakingProviders: [stakingProvider1, stakingProvider2],
+            hash: ethers.constants.HashZero,
+            status: "confirmed",
+          },
+        ],
+      })
+
+      await runTask("claim-rewards", {
+        address: rewardsAggregator.address,
+        beneficiary,
+        distFile,
+        progressFile,
+      })
+
+      expect(await token.balanceOf(beneficiary)).to.equal(0)
+      expect(fs.existsSync(progressFile)).to.be.false
+    })
+
+    it("should skip the stakes of a transaction with unknown status", async function () {
+      const { token, rewardsAggregator } = await loadFixture(deployClaimFixture)
+      // A transaction the node doesn't know, so its receipt never arrives
+      const hash = ethers.utils.hexlify(ethers.utils.randomBytes(32))
+      writeProgress(progressFile, {
+        network: hre.network.name,
+        contract: rewardsAggregator.address,
+        merkleRoot: dist.merkleRoot,
+        transactions: [
+          { stakingProviders: [stakingProvider1], hash, status: "sent" },
+        ],
+      })
+
+      await runTask("claim-rewards", {
+        address: rewardsAggregator.address,
+        beneficiary,
+        distFile,
+        progressFile,
+        waitTimeout: 1,
+      })
+
+      expect(await token.balanceOf(beneficiary)).to.equal(2000000)
+      const progress = JSON.parse(fs.readFileSync(progressFile))
+      expect(progress.transactions[0].status).to.equal("unknown")
+      fs.rmSync(progressFile)
+    })
+  })
+
+  describe("claim-rewards unsigned transactions", function () {
+    it("should build the unsigned transactions", async function () {
+      const { token, rewardsAggregator } = await loadFixture(deployClaimFixture)
+      const output = path.join(tmpPath, "claim-transactions.json")
+      const safeOutput = path.join(tmpPath, "claim-safe-batch.json")
+
+      await runTask("claim-rewards", {
+        address: rewardsAggregator.address,
+        beneficiary,
+        distFile,
+        progressFile,
+        unsigned: true,
+        from: otherBeneficiary,
+        output,
+        safeOutput,
+      })
+
+      const unsigned = JSON.parse(fs.readFileSync(output))
+      expect(unsigned.from).to.equal(otherBeneficiary)
+      expect(unsigned.merkleRoot).to.equal(dist.merkleRoot)
+      expect(unsigned.transactions).to.have.lengthOf(1)
+      expect(unsigned.transactions[0].stakingProviders).to.deep.equal([
+        stakingProvider1,
+        stakingProvider2,
+      ])
+      expect(unsigned.transactions[0].to).to.equal(rewardsAggregator.address)
+      const safeBatch = JSON.parse(fs.readFileSync(safeOutput))
+      expect(safeBatch.meta.createdFromSafeAddress).to.equal(otherBeneficiary)
+      expect(safeBatch.transactions[0].data).to.equal(
+        unsigned.transactions[0].data
+      )
+      expect(await token.balanceOf(beneficiary)).to.equal(0)
+    })
+  })
+
+  describe("distribution sources", function () {
+    it("should load the latest distribution of the local tree", async function () {
+      const date = getLatestDistribution()
+
+      const loaded = await loadDistribution({})
+
+      expect(loaded.dist).to.deep.equal(readDistFile(date, "MerkleDist.json"))
+    })
+
+    it("should load the latest distribution of a git ref", async function () {
+      const date = getLatestDistribution()
+
+      const loaded = await loadDistribution({ ref: "HEAD" })
+
+      expect(loaded.description).to.equal(
+        `distribution ${date} of git ref HEAD`
+      )
+      expect(loaded.dist).to.deep.equal(readDistFile(date, "MerkleDist.json"))
+    })
+
+    it("should load a distribution file", async function () {
+      const loaded = await loadDistribution({ file: distFile })
+
+      expect(loaded.dist).to.deep.equal(dist)
+    })
+
+    it("should reject more than one distribution source", async function () {
+      let error
+      try {
+        await loadDistribution({ file: distFile, url: "ipfs://cid" })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal(
+        "Only one distribution source can be provided"
+      )
+    })
+
+    it("should not claim a distribution different from the contract one", async function () {
+      const { token, rewardsAggregator } = await loadFixture(deployClaimFixture)
+      const otherDistFile = path.join(tmpPath, "OtherMerkleDist.json")
+      fs.writeFileSync(
+        otherDistFile,
+        JSON.stringify({ ...dist, merkleRoot: ethers.constants.HashZero })
+      )
+
+      await runTask("claim-rewards", {
+        address: rewardsAggregator.address,
+        beneficiary,
+        distFile: otherDistFile,
+        progressFile,
+      })
+
+      expect(await token.balanceOf(beneficiary)).to.equal(0)
+    })
+  })
+})
@@ -0,0 +1,131 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { expect } = require("chai")
+const { describe, it, before, after } = require("mocha")
+
+const {
+  parseCorrectionsFile,
+  validateCorrections,
+  getCorrectionsInput,
+  addPendingCorrections,
+  readPendingCorrections,
+  writePendingCorrections,
+  applyPendingCorrections,
+} = require("../src/scripts/utils/corrections")
+
+const stakingProvider = "0x2f9e94217C3f3493A2E65676E0F409fF5642A9AC"
+const beneficiary = "0x9eeE3a95f91b23f2bC186B5977E2fC9d4636a229"
+
+describe("Rewards corrections", function () {
+  it("should parse a CSV file", function () {
+    const filePath = path.join(os.tmpdir(), "corrections.csv")
+    fs.writeFileSync(
+      filePath,
+      "stakingProvider,beneficiary,amount,reason\n" +
+        `${stakingProvider},${beneficiary},1000,"Epoch bug, October"\n`
+    )
+
+    expect(parseCorrectionsFile(filePath)).to.deep.equal([
+      {
+        stakingProvider,
+        beneficiary,
+        amount: "1000",
+        reason: "Epoch bug, October",
+      },
+    ])
+  })
+
+  it("should validate addresses, amounts and reasons", function () {
+    const invalidAddress = "0x123"
+    const { corrections, errors } = validateCorrections(
+      [
+        {
+          stakingProvider: stakingProvider.toLowerCase(),
+          beneficiary,
+          amount: "1000",
+          reason: "Grant",
+        },
+        {
+          stakingProvider: invalidAddress,
+          beneficiary,
+          amount: "1.5",
+          reason: "",
+        },
+      ],
+      {}
+    )
+
+    expect(corrections[0].stakingProvider).to.equal(stakingProvider)
+    expect(errors).to.deep.equal([
+      `Correction 2: invalid stakingProvider "${invalidAddress}"`,
+      "Correction 2: amount must be a positive integer (T wei)",
+      "Correction 2: a reason must be provided",
+    ])
+  })
+
+  it("should reject a beneficiary different from the current one", function () {
+    const { errors } = validateCorrections(
+      [{ stakingProvider, beneficiary, amount: "1000", reason: "Grant" }],
+      { [stakingProvider]: { beneficiary: stakingProvider, amount: "1" } }
+    )
+
+    expect(errors).to.have.lengthOf(1)
+  })
+
+  it("should add up the corrections of the same stake", function () {
+    const correction = { stakingProvider, beneficiary, reason: "Grant" }
+
+    expect(
+      getCorrectionsInput([
+        { ...correction, amount: "1000" },
+        { ...correction, amount: "500" },
+      ])
+    ).to.deep.equal({ [stakingProvider]: { beneficiary, amount: "1500" } })
+  })
+
+  describe("when generating a distribution", function () {
+    const cwd = process.cwd()
+
+    before(function () {
+      process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "corrections-")))
+    })
+
+    after(function () {
+      process.chdir(cwd)
+    })
+
+    it("should only apply the corrections once it's published", function () {
+      const filePath = path.join(os.tmpdir(), "corrections.json")
+      fs.writeFileSync(
+        filePath,
+        JSON.stringify([
+          { stakingProvider, beneficiary, amount: "1000", reason: "Grant" },
+        ])
+      )
+      addPendingCorrections(parseCorrectionsFile(filePath), filePath)
+      const pending = readPendingCorrections()
+      const distPath = path.join("distributions", "2024-12-01")
+      fs.mkdirSync(distPath, { recursive: true })
+
+      writePendingCorrections(distPath)
+
+      expect(readPendingCorrections()).to.deep.equal(pending)
+      expect(
+        JSON.parse(fs.readFileSync(path.join(distPath, "corrections.json")))
+      ).to.deep.equal(pending)
+
+      applyPendingCorrections(distPath, "2024-12-01")
+
+      expect(readPendingCorrections()).to.deep.equal([])
+      const audit = JSON.parse(
+        fs.readFileSync("distributions/corrections/audit.json")
+      )
+      expect(audit.map((entry) => entry.action)).to.deep.equal([
+        "ingested",
+        "applied",
+      ])
+      expect(audit[1].corrections).to.deep.equal(pending)
+    })
+  })
+})
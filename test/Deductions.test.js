@@ -0,0 +1,111 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { expect } = require("chai")
+const { describe, it, before, after } = require("mocha")
+
+const {
+  readLedger,
+  addDebt,
+  getOutstandingDebts,
+  withholdEarnedRewards,
+  writeDeductions,
+  recordDeductions,
+} = require("../src/scripts/utils/deductions")
+
+const stakingProvider1 = "0x2f9e94217C3f3493A2E65676E0F409fF5642A9AC"
+const stakingProvider2 = "0x005511deD6Aa2012DaE1307290779ED52639cCee"
+const beneficiary = "0x9eeE3a95f91b23f2bC186B5977E2fC9d4636a229"
+
+describe("Rewards deductions", function () {
+  it("should subtract withheld amounts from recorded debts", function () {
+    const ledger = [
+      { type: "debt", stakingProvider: stakingProvider1, amount: "1000" },
+      { type: "debt", stakingProvider: stakingProvider2, amount: "500" },
+      { type: "withheld", stakingProvider: stakingProvider1, amount: "300" },
+      { type: "withheld", stakingProvider: stakingProvider2, amount: "500" },
+    ]
+
+    expect(getOutstandingDebts(ledger)).to.deep.equal({
+      [stakingProvider1]: "700",
+    })
+  })
+
+  it("should withhold earned rewards across sources until repaid", function () {
+    const earnedBySource = {
+      taco: {
+        [stakingProvider1]: { beneficiary, amount: "400" },
+        [stakingProvider2]: { beneficiary, amount: "100" },
+      },
+      tbtcv2: { [stakingProvider1]: { beneficiary, amount: "500" } },
+    }
+
+    const { earned, deductions } = withholdEarnedRewards(earnedBySource, {
+      [stakingProvider1]: "700",
+    })
+
+    expect(earned).to.deep.equal({
+      taco: { [stakingProvider2]: { beneficiary, amount: "100" } },
+      tbtcv2: { [stakingProvider1]: { beneficiary, amount: "200" } },
+    })
+    expect(earnedBySource.taco[stakingProvider1].amount).to.equal("400")
+    expect(deductions).to.deep.equal([
+      {
+        stakingProvider: stakingProvider1,
+        outstandingBefore: "700",
+        withheld: "700",
+        outstandingAfter: "0",
+      },
+    ])
+  })
+
+  it("should keep the debt outstanding if not enough rewards", function () {
+    const earnedBySource = {
+      taco: { [stakingProvider1]: { beneficiary, amount: "400" } },
+    }
+
+    const { earned, deductions } = withholdEarnedRewards(earnedBySource, {
+      [stakingProvider1]: "1000",
+      [stakingProvider2]: "50",
+    })
+
+    expect(earned).to.deep.equal({ taco: {} })
+    expect(
+      deductions.map((deduction) => deduction.outstandingAfter)
+    ).to.deep.equal(["600", "50"])
+  })
+
+  describe("when generating a distribution", function () {
+    const cwd = process.cwd()
+
+    before(function () {
+      process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "deductions-")))
+    })
+
+    after(function () {
+      process.chdir(cwd)
+    })
+
+    it("should only record the withheld amounts once it's published", function () {
+      addDebt(stakingProvider1, "1000", "Over-paid in October")
+      const { deductions } = withholdEarnedRewards(
+        { taco: { [stakingProvider1]: { beneficiary, amount: "400" } } },
+        getOutstandingDebts(readLedger())
+      )
+      const distPath = path.join("distributions", "2024-12-01")
+      fs.mkdirSync(distPath, { recursive: true })
+
+      writeDeductions(distPath, deductions)
+
+      expect(getOutstandingDebts(readLedger())).to.deep.equal({
+        [stakingProvider1]: "1000",
+      })
+
+      recordDeductions(distPath, "2024-12-01")
+
+      expect(getOutstandingDebts(readLedger())).to.deep.equal({
+        [stakingProvider1]: "600",
+      })
+    })
+  })
+})
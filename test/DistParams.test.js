@@ -0,0 +1,152 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { expect } = require("chai")
+const { describe, it } = require("mocha")
+
+const { resolveDistParams } = require("../src/scripts/utils/dist-params")
+const {
+  DISTRIBUTIONS_FILE_PATH,
+  getLatestDistribution,
+} = require("../src/scripts/utils/distributions")
+
+const latestDistribution = getLatestDistribution()
+// Valid parameters of the distribution following the latest one
+const options = {
+  endDate: "2099-01-01",
+  tacoWeight: "0.25",
+  tbtcv2Weight: "0.75",
+  tbtcValidVersions: "v2.1.0",
+}
+
+// Write a config file with the given parameters
+function writeConfig(config) {
+  const configPath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "dist-params-")),
+    "params.json"
+  )
+  fs.writeFileSync(configPath, JSON.stringify(config))
+  return configPath
+}
+
+describe("Distribution parameters", function () {
+  it("should resolve the parameters from the latest distribution", function () {
+    const params = resolveDistParams(options)
+
+    expect(params.lastDistribution).to.equal(latestDistribution)
+    expect(params.startDate).to.equal(latestDistribution)
+    expect(params.startTime).to.equal(
+      new Date(`${latestDistribution}T00:00:00Z`).getTime() / 1000
+    )
+    expect(params.endTime).to.equal(
+      new Date("2099-01-01T00:00:00Z").getTime() / 1000
+    )
+    expect(params.tacoWeight).to.equal(0.25)
+    expect(params.tbtcv2Weight).to.equal(0.75)
+  })
+
+  it("should override the config file with the command line", function () {
+    const config = writeConfig({ ...options, endDate: "2098-01-01" })
+
+    const params = resolveDistParams({
+      config,
+      endDate: "2099-01-01",
+      tacoWeight: "1",
+      tbtcv2Weight: "0",
+    })
+
+    expect(params.endDate).to.equal("2099-01-01")
+    expect(params.tacoWeight).to.equal(1)
+    expect(params.tbtcv2Weight).to.equal(0)
+    expect(params.tbtcValidVersions).to.equal(options.tbtcValidVersions)
+  })
+
+  it("should reject unknown parameters in the config file", function () {
+    const config = writeConfig({ ...options, tacoWeigth: "0.25" })
+
+    expect(() => resolveDistParams({ config })).to.throw(
+      `Unknown parameter "tacoWeigth" in config file ${config}`
+    )
+  })
+
+  it("should reject a config file that can't be read", function () {
+    const config = path.join(os.tmpdir(), "missing-params.json")
+
+    expect(() => resolveDistParams({ config })).to.throw(
+      `Error reading config file ${config}`
+    )
+  })
+
+  it("should reject a base distribution that doesn't exist", function () {
+    expect(() =>
+      resolveDistParams({ ...options, lastDistribution: "2000-01-01" })
+    ).to.throw("Base distribution 2000-01-01 doesn't exist")
+  })
+
+  it("should reject a base distribution other than the latest one", function () {
+    const distributions = JSON.parse(fs.readFileSync(DISTRIBUTIONS_FILE_PATH))
+    const [previous] = Object.keys(
+      distributions.CumulativeAmountByDistribution
+    ).sort()
+
+    expect(() =>
+      resolveDistParams({ ...options, lastDistribution: previous })
+    ).to.throw(
+      `Base distribution ${previous} is not the latest one ` +
+        `(${latestDistribution}) in ${DISTRIBUTIONS_FILE_PATH}`
+    )
+  })
+
+  it("should require the end date", function () {
+    expect(() =>
+      resolveDistParams({ ...options, endDate: undefined })
+    ).to.throw("Parameter endDate must be provided")
+  })
+
+  it("should reject dates that aren't YYYY-MM-DD", function () {
+    const [wrongFormat, wrongDate] = ["01/01/2099", "2099-13-45"]
+
+    expect(() =>
+      resolveDistParams({ ...options, endDate: wrongFormat })
+    ).to.throw(`Invalid date "${wrongFormat}": format must be YYYY-MM-DD`)
+    expect(() =>
+      resolveDistParams({ ...options, endDate: wrongDate })
+    ).to.throw(`Invalid date "${wrongDate}"`)
+  })
+
+  it("should require the end date to be after the start date", function () {
+    expect(() =>
+      resolveDistParams({ ...options, endDate: latestDistribution })
+    ).to.throw(
+      `End date ${latestDistribution} must be after start date ` +
+        latestDistribution
+    )
+  })
+
+  it("should require every weight", function () {
+    expect(() =>
+      resolveDistParams({ ...options, tbtcv2Weight: undefined })
+    ).to.throw("Parameter tbtcv2Weight must be provided")
+  })
+
+  it("should require weights between 0 and 1", function () {
+    expect(() =>
+      resolveDistParams({ ...options, tacoWeight: "-0.25" })
+    ).to.throw("Parameter tacoWeight must be a number between 0 and 1")
+    expect(() =>
+      resolveDistParams({ ...options, tacoWeight: "a quarter" })
+    ).to.throw("Parameter tacoWeight must be a number between 0 and 1")
+  })
+
+  it("should require the weights to sum 1", function () {
+    expect(() => resolveDistParams({ ...options, tacoWeight: "0.3" })).to.throw(
+      "Weights must sum 1 (tacoWeight: 0.3, tbtcv2Weight: 0.75)"
+    )
+  })
+
+  it("should validate the rewards sources parameters", function () {
+    expect(() =>
+      resolveDistParams({ ...options, tbtcValidVersions: undefined })
+    ).to.throw("Parameter tbtcValidVersions must be provided")
+  })
+})
@@ -0,0 +1,106 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const crypto = require("crypto")
+const { expect } = require("chai")
+const { describe, it, before } = require("mocha")
+
+const { genMerkleDist } = require("../src/scripts/utils/merkle_dist")
+const { writeManifest } = require("../src/scripts/utils/manifest")
+const { EARNED_REWARDS_PATH } = require("../src/scripts/utils/distributions")
+
+const tacoInputFile = "MerkleInputTACoRewards.json"
+const tbtcv2InputFile = "MerkleInputTbtcv2Rewards.json"
+const stakingProvider = "0x2f9e94217C3f3493A2E65676E0F409fF5642A9AC"
+const beneficiary = "0x9eeE3a95f91b23f2bC186B5977E2fC9d4636a229"
+const params = {
+  startDate: "2024-11-01",
+  endDate: "2024-12-01",
+  startTime: 1730419200,
+  endTime: 1733011200,
+  lastDistribution: "2024-11-01",
+  tbtcValidVersions: "v2.1.0",
+}
+const cutoffs = {
+  startBlock: 21093000,
+  endBlock: 21308000,
+  polygonEndBlock: 64960000,
+}
+const earned = { [stakingProvider]: { beneficiary, amount: "300" } }
+const cumulative = { [stakingProvider]: { beneficiary, amount: "1300" } }
+// Only TACo rewards were earned, so there is no tBTCv2 input file
+const sources = {
+  taco: { inputFile: tacoInputFile, weight: 1, earned, cumulative },
+  tbtcv2: { inputFile: tbtcv2InputFile, weight: 0, earned: {}, cumulative: {} },
+  corrections: { inputFile: "MerkleInputCorrections.json" },
+}
+
+// Return the SHA-256 hash of a string, as written in the manifest
+function sha256(content) {
+  return "0x" + crypto.createHash("sha256").update(content).digest("hex")
+}
+
+describe("Distribution manifest", function () {
+  const distPath = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"))
+  const merkleDist = JSON.stringify(genMerkleDist(cumulative))
+  let manifest
+
+  before(async function () {
+    fs.mkdirSync(path.join(distPath, EARNED_REWARDS_PATH))
+    fs.writeFileSync(path.join(distPath, "MerkleDist.json"), merkleDist)
+    fs.writeFileSync(
+      path.join(distPath, tacoInputFile),
+      JSON.stringify(cumulative)
+    )
+    fs.writeFileSync(
+      path.join(distPath, EARNED_REWARDS_PATH, tacoInputFile),
+      JSON.stringify(earned)
+    )
+
+    manifest = await writeManifest(distPath, params, cutoffs, sources)
+  })
+
+  it("should write the manifest in the distribution folder", function () {
+    expect(
+      JSON.parse(fs.readFileSync(path.join(distPath, "manifest.json")))
+    ).to.deep.equal(manifest)
+  })
+
+  it("should describe the period with its cutoff blocks", function () {
+    expect(manifest.distribution).to.equal(params.endDate)
+    expect(manifest.previousDistribution).to.equal(params.lastDistribution)
+    expect(manifest.period).to.deep.equal({
+      startDate: params.startDate,
+      endDate: params.endDate,
+      startTimestamp: params.startTime,
+      endTimestamp: params.endTime,
+      ...cutoffs,
+    })
+  })
+
+  it("should include the weight of the weighted sources", function () {
+    expect(manifest.weights).to.deep.equal({ taco: 1, tbtcv2: 0 })
+  })
+
+  it("should only include the sources with an input file", function () {
+    expect(manifest.sources).to.deep.equal({
+      taco: {
+        inputFile: tacoInputFile,
+        earnedAmount: "300",
+        cumulativeAmount: "1300",
+      },
+    })
+    expect(manifest.merkleRoot).to.equal(JSON.parse(merkleDist).merkleRoot)
+    expect(manifest.totalAmount).to.equal("1300")
+  })
+
+  it("should hash every file of the distribution", function () {
+    expect(manifest.files).to.deep.equal({
+      "MerkleDist.json": sha256(merkleDist),
+      [tacoInputFile]: sha256(JSON.stringify(cumulative)),
+      [path.posix.join(EARNED_REWARDS_PATH, tacoInputFile)]: sha256(
+        JSON.stringify(earned)
+      ),
+    })
+  })
+})
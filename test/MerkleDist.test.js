@@ -0,0 +1,93 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const { expect } = require("chai")
+const { describe, it } = require("mocha")
+const { MerkleTree } = require("merkletreejs")
+const fc = require("fast-check")
+const keccak256 = require("keccak256")
+
+const { genMerkleLeaf } = require("./utils")
+const MerkleDist = require("../src/scripts/utils/merkle_dist")
+
+const distributionsPath = path.join(__dirname, "../distributions")
+
+// Random Merkle input with the given number of staking providers
+function genMerkleInput(size) {
+  const merkleInput = {}
+  for (let i = 0; i < size; i++) {
+    const stakingProvider = "0x" + crypto.randomBytes(20).toString("hex")
+    merkleInput[stakingProvider] = {
+      beneficiary: "0x" + crypto.randomBytes(20).toString("hex"),
+      amount: BigInt("0x" + crypto.randomBytes(12).toString("hex")).toString(),
+    }
+  }
+  return merkleInput
+}
+
+describe("Merkle distribution generation", function () {
+  it("should build the same tree as merkletreejs", function () {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 70 }), function (size) {
+        const merkleInput = genMerkleInput(size)
+        const leaves = Object.entries(merkleInput).map(
+          ([stakingProvider, claim]) =>
+            genMerkleLeaf(stakingProvider, claim.beneficiary, claim.amount)
+        )
+        const tree = new MerkleTree(leaves, keccak256, { sort: true })
+
+        const dist = MerkleDist.genMerkleDist(merkleInput)
+
+        expect(dist.merkleRoot).to.equal(tree.getHexRoot())
+        Object.keys(merkleInput).forEach((stakingProvider, i) => {
+          expect(dist.claims[stakingProvider].proof).to.deep.equal(
+            tree.getHexProof(leaves[i])
+          )
+        })
+      }),
+      { numRuns: 50 }
+    )
+  })
+
+  it("should generate the published distribution", function () {
+    const distributions = JSON.parse(
+      fs.readFileSync(path.join(distributionsPath, "distributions.json"))
+    )
+    const dists = Object.keys(
+      distributions.CumulativeAmountByDistribution
+    ).sort()
+    const lastDist = dists[dists.length - 1]
+    const distPath = path.join(distributionsPath, lastDist)
+    const merkleInput = JSON.parse(
+      fs.readFileSync(path.join(distPath, "MerkleInputTotalRewards.json"))
+    )
+    const merkleDist = JSON.parse(
+      fs.readFileSync(path.join(distPath, "MerkleDist.json"))
+    )
+
+    expect(MerkleDist.genMerkleDist(merkleInput)).to.deep.equal(merkleDist)
+  })
+
+  it("should build a tree with 200,000 leaves within seconds", function () {
+    this.timeout(120000)
+    const merkleInput = genMerkleInput(200000)
+
+    const start = Date.now()
+    const dist = MerkleDist.genMerkleDist(merkleInput)
+    const elapsed = Date.now() - start
+
+    expect(elapsed).to.be.below(30000)
+    expect(Object.keys(dist.claims)).to.have.lengthOf(200000)
+    const tree = new MerkleTree([], keccak256, { sortPairs: true })
+    Object.entries(dist.claims)
+      .slice(0, 10)
+      .forEach(([stakingProvider, claim]) => {
+        const leaf = genMerkleLeaf(
+          stakingProvider,
+          claim.beneficiary,
+          claim.amount
+        )
+        expect(tree.verify(claim.proof, leaf, dist.merkleRoot)).to.be.true
+      })
+  })
+})
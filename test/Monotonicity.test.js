@@ -0,0 +1,81 @@
+const { expect } = require("chai")
+const { describe, it } = require("mocha")
+
+const {
+  checkCumulativeAmounts,
+  formatCheckErrors,
+} = require("../src/scripts/utils/monotonicity")
+
+const stakingProvider1 = "0x2f9e94217C3f3493A2E65676E0F409fF5642A9AC"
+const stakingProvider2 = "0x005511deD6Aa2012DaE1307290779ED52639cCee"
+const beneficiary = "0x9eeE3a95f91b23f2bC186B5977E2fC9d4636a229"
+
+const prevMerkleInput = {
+  [stakingProvider1]: { beneficiary, amount: "1000" },
+  [stakingProvider2]: { beneficiary, amount: "2000" },
+}
+
+describe("Cumulative amounts monotonicity check", function () {
+  it("should pass when amounts increase by the earned rewards", function () {
+    const earned = { [stakingProvider1]: { beneficiary, amount: "500" } }
+    const merkleInput = {
+      [stakingProvider1]: { beneficiary, amount: "1500" },
+      [stakingProvider2]: { beneficiary, amount: "2000" },
+    }
+
+    const result = checkCumulativeAmounts(prevMerkleInput, merkleInput, [
+      earned,
+    ])
+
+    expect(result.valid).to.be.true
+    expect(formatCheckErrors(result)).to.be.empty
+  })
+
+  it("should fail when an amount decreases", function () {
+    const merkleInput = {
+      [stakingProvider1]: { beneficiary, amount: "999" },
+      [stakingProvider2]: { beneficiary, amount: "2001" },
+    }
+
+    const result = checkCumulativeAmounts(prevMerkleInput, merkleInput, [])
+
+    expect(result.valid).to.be.false
+    expect(result.decreased).to.deep.equal([
+      {
+        stakingProvider: stakingProvider1,
+        previousAmount: "1000",
+        amount: "999",
+      },
+    ])
+  })
+
+  it("should fail when a staking provider is missing", function () {
+    const earned = { [stakingProvider1]: { beneficiary, amount: "2000" } }
+    const merkleInput = {
+      [stakingProvider1]: { beneficiary, amount: "3000" },
+    }
+
+    const result = checkCumulativeAmounts(prevMerkleInput, merkleInput, [
+      earned,
+    ])
+
+    expect(result.valid).to.be.false
+    expect(result.missing).to.deep.equal([stakingProvider2])
+  })
+
+  it("should fail when the total doesn't match the earned rewards", function () {
+    const earned = { [stakingProvider1]: { beneficiary, amount: "100" } }
+    const merkleInput = {
+      [stakingProvider1]: { beneficiary, amount: "1200" },
+      [stakingProvider2]: { beneficiary, amount: "2000" },
+    }
+
+    const result = checkCumulativeAmounts(prevMerkleInput, merkleInput, [
+      earned,
+    ])
+
+    expect(result.valid).to.be.false
+    expect(result.totalMatchesEarned).to.be.false
+    expect(formatCheckErrors(result)).to.have.lengthOf(1)
+  })
+})
@@ -0,0 +1,112 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { expect } = require("chai")
+const { describe, it, before, after } = require("mocha")
+
+const MerkleDist = require("../src/scripts/utils/merkle_dist")
+const { reproduceDist } = require("../src/scripts/utils/reproduce")
+const {
+  TOTAL_INPUT_FILE,
+  EARNED_REWARDS_PATH,
+  getLatestDistribution,
+} = require("../src/scripts/utils/distributions")
+
+const inputFile = "MerkleInputTACoRewards.json"
+const stakingProvider1 = "0x2f9e94217C3f3493A2E65676E0F409fF5642A9AC"
+const stakingProvider2 = "0x005511deD6Aa2012DaE1307290779ED52639cCee"
+const beneficiary = "0x9eeE3a95f91b23f2bC186B5977E2fC9d4636a229"
+
+// Write a distribution with a single rewards source, and optionally the
+// rewards earned recorded by the generation script
+function writeDist(date, sourceInput, earned) {
+  const distPath = path.join("distributions", date)
+  fs.rmSync(distPath, { recursive: true, force: true })
+  fs.mkdirSync(path.join(distPath, EARNED_REWARDS_PATH), { recursive: true })
+  fs.writeFileSync(path.join(distPath, inputFile), JSON.stringify(sourceInput))
+  fs.writeFileSync(
+    path.join(distPath, TOTAL_INPUT_FILE),
+    JSON.stringify(sourceInput)
+  )
+  fs.writeFileSync(
+    path.join(distPath, "MerkleDist.json"),
+    JSON.stringify(MerkleDist.genMerkleDist(sourceInput))
+  )
+  if (earned) {
+    fs.writeFileSync(
+      path.join(distPath, EARNED_REWARDS_PATH, inputFile),
+      JSON.stringify(earned)
+    )
+  }
+}
+
+describe("Distribution reproduction", function () {
+  it("should reproduce the latest distribution", function () {
+    const report = reproduceDist(getLatestDistribution())
+
+    expect(report.matches).to.be.true
+  })
+
+  describe("with generated distributions", function () {
+    const cwd = process.cwd()
+
+    before(function () {
+      process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "reproduce-")))
+      writeDist("2024-11-01", {
+        [stakingProvider1]: { beneficiary, amount: "1000" },
+        [stakingProvider2]: { beneficiary, amount: "500" },
+      })
+    })
+
+    after(function () {
+      process.chdir(cwd)
+    })
+
+    it("should combine the recorded rewards earned", function () {
+      writeDist(
+        "2024-12-01",
+        {
+          [stakingProvider1]: { beneficiary, amount: "1300" },
+          [stakingProvider2]: { beneficiary, amount: "500" },
+        },
+        { [stakingProvider1]: { beneficiary, amount: "300" } }
+      )
+
+      const report = reproduceDist("2024-12-01")
+
+      expect(report.sources[0].earnedRecorded).to.be.true
+      expect(report.matches).to.be.true
+    })
+
+    it("should not match the recorded rewards earned", function () {
+      writeDist(
+        "2024-12-01",
+        {
+          [stakingProvider1]: { beneficiary, amount: "1300" },
+          [stakingProvider2]: { beneficiary, amount: "500" },
+        },
+        { [stakingProvider1]: { beneficiary, amount: "200" } }
+      )
+
+      const report = reproduceDist("2024-12-01")
+
+      expect(report.sources[0].input.mismatched).to.deep.equal([
+        stakingProvider1,
+      ])
+      expect(report.matches).to.be.false
+    })
+
+    it("should not match decreased or dropped stakes", function () {
+      writeDist("2024-12-01", {
+        [stakingProvider1]: { beneficiary, amount: "900" },
+      })
+
+      const report = reproduceDist("2024-12-01")
+
+      expect(report.sources[0].earnedRecorded).to.be.false
+      expect(report.sources[0].decreased).to.deep.equal([stakingProvider1])
+      expect(report.sources[0].dropped).to.deep.equal([stakingProvider2])
+      expect(report.matches).to.be.false
+    })
+  })
+})
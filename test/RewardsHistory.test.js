@@ -0,0 +1,44 @@
+const { expect } = require("chai")
+const { describe, it } = require("mocha")
+
+const {
+  getRewardsHistory,
+  toCsv,
+} = require("../src/scripts/utils/rewards-history")
+const {
+  TOTAL_INPUT_FILE,
+  getLatestDistribution,
+  readDistFile,
+} = require("../src/scripts/utils/distributions")
+
+describe("Rewards history", function () {
+  it("should add up to the latest cumulative amounts", function () {
+    const totalInput = readDistFile(getLatestDistribution(), TOTAL_INPUT_FILE)
+    const earnedTotals = {}
+    getRewardsHistory().forEach(({ stakingProvider, earned }) => {
+      earnedTotals[stakingProvider] =
+        (earnedTotals[stakingProvider] || 0n) + BigInt(earned)
+    })
+
+    Object.keys(totalInput).forEach((stakingProvider) => {
+      expect(earnedTotals[stakingProvider]).to.equal(
+        BigInt(totalInput[stakingProvider].amount)
+      )
+    })
+  })
+
+  it("should only include the given staking providers", function () {
+    const totalInput = readDistFile(getLatestDistribution(), TOTAL_INPUT_FILE)
+    const stakingProvider = Object.keys(totalInput)[0]
+
+    const history = getRewardsHistory([stakingProvider.toLowerCase()])
+
+    expect(history).to.not.be.empty
+    history.forEach((entry) =>
+      expect(entry.stakingProvider).to.equal(stakingProvider)
+    )
+    expect(toCsv(history).split("\n")[0]).to.equal(
+      "distribution,stakingProvider,source,earned"
+    )
+  })
+})
@@ -0,0 +1,51 @@
+const { expect } = require("chai")
+const { describe, it } = require("mocha")
+
+const { queryAllPages } = require("../src/scripts/utils/subgraph")
+
+// Fake graph-client query returning the entities with id greater than lastId
+function fakeQuery(entities, calls = []) {
+  return async function ({ first, lastId }) {
+    calls.push(lastId)
+    return {
+      items: entities.filter((entity) => entity.id > lastId).slice(0, first),
+    }
+  }
+}
+
+const entities = Array.from({ length: 25 }, (_, i) => ({
+  id: `0x${i.toString(16).padStart(4, "0")}`,
+}))
+
+describe("Subgraph queries pagination", function () {
+  it("should fetch all the pages", async function () {
+    const calls = []
+    const result = await queryAllPages(
+      fakeQuery(entities, calls),
+      {},
+      "items",
+      10
+    )
+
+    expect(result).to.deep.equal(entities)
+    expect(calls).to.deep.equal(["", "0x0009", "0x0013"])
+  })
+
+  it("should fail if a page is not ordered by id", async function () {
+    const query = async () => ({ items: [{ id: "0x02" }, { id: "0x01" }] })
+
+    let error
+    await queryAllPages(query, {}, "items", 10).catch((err) => (error = err))
+
+    expect(error.message).to.match(/not ordered by id/)
+  })
+
+  it("should fail if a page has more entities than requested", async function () {
+    const query = async () => ({ items: entities })
+
+    let error
+    await queryAllPages(query, {}, "items", 10).catch((err) => (error = err))
+
+    expect(error.message).to.match(/more than the 10 requested/)
+  })
+})
@@ -0,0 +1,342 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { expect } = require("chai")
+const { describe, it } = require("mocha")
+const fc = require("fast-check")
+const BigNumber = require("bignumber.js")
+
+const {
+  buildTACoEpochs,
+  calculateTACoReward,
+  getTACoRewardsFromSnapshot,
+} = require("../src/scripts/utils/taco-rewards")
+const tacoSource = require("../src/scripts/utils/reward-sources/taco")
+const snapshot = require("./fixtures/taco-snapshot.json")
+
+const beneficiary = "0x9eeE3a95f91b23f2bC186B5977E2fC9d4636a229"
+const tacoWeight = 0.25
+const aprSchedule = [{ effectiveFrom: 0, apr: 15 }]
+
+// Authorization history with events in random order between two timestamps
+function authHistoryArb(minTimestamp, maxTimestamp) {
+  return fc.array(
+    fc.record({
+      amount: fc
+        .bigInt({ min: 0n, max: 10n ** 27n })
+        .map((amount) => amount.toString()),
+      timestamp: fc
+        .integer({ min: minTimestamp, max: maxTimestamp })
+        .map((timestamp) => timestamp.toString()),
+      beneficiary: fc.constant(beneficiary),
+    }),
+    { minLength: 1, maxLength: 20 }
+  )
+}
+
+// Reward of a stake in a period, not rounded
+function getReward(authHistory, opConfirmedTimestamp, start, end) {
+  const epochs = buildTACoEpochs(authHistory, opConfirmedTimestamp, start, end)
+  return calculateTACoReward(epochs, tacoWeight, aprSchedule)
+}
+
+describe("TACo rewards", function () {
+  it("should build sorted epochs clipped to the period", function () {
+    const authHistory = [
+      { amount: "300", timestamp: "1500", beneficiary },
+      { amount: "100", timestamp: "500", beneficiary },
+      { amount: "200", timestamp: "800", beneficiary },
+      { amount: "400", timestamp: "2500", beneficiary },
+    ]
+
+    expect(buildTACoEpochs(authHistory, "700", 1000, 2000)).to.deep.equal([
+      { amount: "200", startTime: 1000, duration: 500, beneficiary },
+      { amount: "300", startTime: 1500, duration: 500, beneficiary },
+    ])
+  })
+
+  it("should start the epochs at the operator confirmation", function () {
+    const authHistory = [
+      { amount: "100", timestamp: "500", beneficiary },
+      { amount: "200", timestamp: "1200", beneficiary },
+    ]
+
+    expect(buildTACoEpochs(authHistory, "1400", 1000, 2000)).to.deep.equal([
+      { amount: "200", startTime: 1400, duration: 600, beneficiary },
+    ])
+  })
+
+  it("should calculate non-negative rewards", function () {
+    fc.assert(
+      fc.property(
+        authHistoryArb(0, 3000),
+        fc.integer({ min: 0, max: 3000 }),
+        fc.integer({ min: 0, max: 3000 }),
+        fc.integer({ min: 0, max: 3000 }),
+        function (authHistory, opConfirmedTimestamp, start, end) {
+          const reward = getReward(
+            authHistory,
+            opConfirmedTimestamp,
+            start,
+            end
+          )
+          expect(reward.gte(0)).to.be.true
+        }
+      )
+    )
+  })
+
+  it("should calculate rewards additive over split periods", function () {
+    fc.assert(
+      fc.property(
+        authHistoryArb(0, 3000),
+        fc.integer({ min: 0, max: 3000 }),
+        fc.array(fc.integer({ min: 0, max: 3000 }), {
+          minLength: 3,
+          maxLength: 3,
+        }),
+        function (authHistory, opConfirmedTimestamp, timestamps) {
+          const [start, split, end] = timestamps.sort((a, b) => a - b)
+          const reward = getReward(
+            authHistory,
+            opConfirmedTimestamp,
+            start,
+            end
+          )
+          const splitReward = getReward(
+            authHistory,
+            opConfirmedTimestamp,
+            start,
+            split
+          ).plus(getReward(authHistory, opConfirmedTimestamp, split, end))
+          // Tolerance for the decimal places of the division
+          expect(reward.minus(splitReward).abs().lt(BigNumber("1e-10"))).to.be
+            .true
+        }
+      )
+    )
+  })
+
+  it("should calculate zero rewards before operator confirmation", function () {
+    fc.assert(
+      fc.property(
+        authHistoryArb(0, 3000),
+        fc.integer({ min: 0, max: 3000 }),
+        fc.integer({ min: 0, max: 3000 }),
+        function (authHistory, start, opConfirmedTimestamp) {
+          fc.pre(start <= opConfirmedTimestamp)
+          const reward = getReward(
+            authHistory,
+            opConfirmedTimestamp,
+            start,
+            opConfirmedTimestamp
+          )
+          expect(reward.eq(0)).to.be.true
+        }
+      )
+    )
+  })
+
+  it("should calculate the rewards from a subgraph snapshot", function () {
+    const rewards = getTACoRewardsFromSnapshot(
+      snapshot,
+      1701388800,
+      1704067200,
+      tacoWeight
+    )
+
+    expect(rewards).to.deep.equal({
+      "0x005511deD6Aa2012DaE1307290779ED52639cCee": {
+        beneficiary: "0xF9246a85Be225910db96777CcED7A9f8aa163c68",
+        amount: "217808219178082191781",
+      },
+      "0x2f9e94217C3f3493A2E65676E0F409fF5642A9AC": {
+        beneficiary,
+        amount: "111815068493150684932",
+      },
+    })
+  })
+
+  it("should ignore snapshot data after the period end", function () {
+    const end = 1702600000
+    const trimmedSnapshot = {
+      endTimestamp: end,
+      tacoOperators: snapshot.tacoOperators.filter(
+        (op) => Number(op.confirmedTimestampFirstOperator) <= end
+      ),
+      appAuthHistories: snapshot.appAuthHistories.filter(
+        (event) => Number(event.timestamp) <= end
+      ),
+    }
+
+    expect(
+      getTACoRewardsFromSnapshot(snapshot, 1701388800, end, tacoWeight)
+    ).to.deep.equal(
+      getTACoRewardsFromSnapshot(trimmedSnapshot, 1701388800, end, tacoWeight)
+    )
+  })
+
+  it("should fail if the snapshot ends before the period", function () {
+    expect(() =>
+      getTACoRewardsFromSnapshot(snapshot, 1701388800, 1706745600, tacoWeight)
+    ).to.throw(/snapshot ends at/)
+  })
+
+  it("should apply each APR pro-rata to the time it was effective", function () {
+    const epochs = [
+      { amount: "1000000", startTime: 1000, duration: 2000, beneficiary },
+    ]
+    const schedule = [
+      { effectiveFrom: 0, apr: 10 },
+      { effectiveFrom: 2500, apr: 20 },
+    ]
+
+    const reward = calculateTACoReward(epochs, 1, schedule)
+
+    // 1500 seconds at 10% and 500 seconds at 20%
+    const expected = BigNumber(1000000)
+      .times(10 * 1500 + 20 * 500)
+      .div(100 * 31536000)
+    expect(reward.minus(expected).abs().lt(BigNumber("1e-10"))).to.be.true
+  })
+
+  it("should write the rewards details of each stake", function () {
+    const detailsPath = fs.mkdtempSync(path.join(os.tmpdir(), "taco-"))
+
+    const rewards = getTACoRewardsFromSnapshot(
+      snapshot,
+      1701388800,
+      1704067200,
+      tacoWeight,
+      detailsPath
+    )
+
+    const details = JSON.parse(
+      fs.readFileSync(path.join(detailsPath, "1701388800-1704067200.json"))
+    )
+    expect(details.map((stake) => stake.stakingProvider)).to.deep.equal(
+      Object.keys(rewards)
+    )
+    const stake = details[0]
+    expect(stake.operatorConfirmedTimestamp).to.equal(1700000000)
+    expect(
+      stake.epochs.map(({ startTime, duration, authorizedAmount }) => [
+        startTime,
+        duration,
+        authorizedAmount,
+      ])
+    ).to.deep.equal([
+      [1701388800, 1411200, "40000000000000000000000"],
+      [1702800000, 1267200, "100000000000000000000000"],
+    ])
+    expect(stake.reward).to.equal(rewards[stake.stakingProvider].amount)
+  })
+
+  it("should disqualify stakes not satisfying the requirements", function () {
+    const detailsPath = fs.mkdtempSync(path.join(os.tmpdir(), "taco-"))
+    const stakingProvider = "0x005511deD6Aa2012DaE1307290779ED52639cCee"
+    const requirementsSnapshot = {
+      ...snapshot,
+      minimumAuthorization: "70000000000000000000000",
+      uptime: { requiredUptime: 96, stakes: { [stakingProvider]: 99.5 } },
+    }
+
+    const rewards = getTACoRewardsFromSnapshot(
+      requirementsSnapshot,
+      1701388800,
+      1704067200,
+      tacoWeight,
+      detailsPath
+    )
+
+    expect(Object.keys(rewards)).to.deep.equal([stakingProvider])
+    const details = JSON.parse(
+      fs.readFileSync(path.join(detailsPath, "1701388800-1704067200.json"))
+    )
+    expect(details[0].requirements).to.deep.equal({
+      isOperatorBonded: true,
+      isUptimeSatisfied: true,
+    })
+    expect(details[1].reward).to.equal("0")
+    expect(details[1].disqualificationReasons).to.deep.equal([
+      "uptime 0% below required 96%",
+    ])
+  })
+
+  it("should give no rewards for epochs below the minimum", function () {
+    const detailsPath = fs.mkdtempSync(path.join(os.tmpdir(), "taco-"))
+    const stakingProvider = "0x005511deD6Aa2012DaE1307290779ED52639cCee"
+    const minimumSnapshot = {
+      ...snapshot,
+      minimumAuthorization: "70000000000000000000000",
+    }
+
+    const rewards = getTACoRewardsFromSnapshot(
+      minimumSnapshot,
+      1701388800,
+      1704067200,
+      tacoWeight,
+      detailsPath
+    )
+
+    const details = JSON.parse(
+      fs.readFileSync(path.join(detailsPath, "1701388800-1704067200.json"))
+    )
+    const [belowMinimum, aboveMinimum] = details[0].epochs
+    expect(belowMinimum.reward).to.equal("0")
+    expect(belowMinimum.requirements).to.deep.equal({
+      isMinAuthorizationSatisfied: false,
+    })
+    expect(belowMinimum.disqualificationReasons).to.deep.equal([
+      "authorization 40000000000000000000000 below minimum " +
+        "70000000000000000000000",
+    ])
+    expect(aboveMinimum.reward).to.equal(
+      calculateTACoReward(
+        [
+          {
+            amount: aboveMinimum.authorizedAmount,
+            startTime: aboveMinimum.startTime,
+            duration: aboveMinimum.duration,
+          },
+        ],
+        tacoWeight
+      ).toFixed(0)
+    )
+    expect(aboveMinimum.disqualificationReasons).to.deep.equal([])
+    expect(rewards[stakingProvider].amount).to.equal(aboveMinimum.reward)
+  })
+
+  it("should disqualify stakes whose operator was unbonded", function () {
+    const unbondedSnapshot = {
+      ...snapshot,
+      tacoOperators: snapshot.tacoOperators.map((op) => ({
+        ...op,
+        operator: "0x0000000000000000000000000000000000000000",
+      })),
+    }
+
+    expect(
+      getTACoRewardsFromSnapshot(
+        unbondedSnapshot,
+        1701388800,
+        1704067200,
+        tacoWeight
+      )
+    ).to.deep.equal({})
+  })
+
+  it("should take the period boundaries from a snapshot", function () {
+    const tacoSnapshot = path.join(__dirname, "fixtures/taco-snapshot.json")
+
+    expect(
+      tacoSource.getCutoffs({ tacoSnapshot, endTime: 1704067200 })
+    ).to.deep.equal({
+      startBlock: 18688893,
+      endBlock: 18908895,
+      polygonEndBlock: 51817713,
+    })
+    expect(tacoSource.getCutoffs({ tacoSnapshot, endTime: 1701388800 })).to.be
+      .undefined
+  })
+})
@@ -0,0 +1,114 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { expect } = require("chai")
+const { describe, it, before, after } = require("mocha")
+
+const MerkleDist = require("../src/scripts/utils/merkle_dist")
+const { verifyMerkleDist } = require("../src/scripts/utils/verify-dist")
+const {
+  DISTRIBUTIONS_FILE_PATH,
+  getDistPath,
+  getLatestDistribution,
+} = require("../src/scripts/utils/distributions")
+
+const date = "2024-12-01"
+const stakingProvider1 = "0x2f9e94217C3f3493A2E65676E0F409fF5642A9AC"
+const stakingProvider2 = "0x005511deD6Aa2012DaE1307290779ED52639cCee"
+const beneficiary = "0x9eeE3a95f91b23f2bC186B5977E2fC9d4636a229"
+const dist = MerkleDist.genMerkleDist({
+  [stakingProvider1]: { beneficiary, amount: "1000" },
+  [stakingProvider2]: { beneficiary, amount: "500" },
+})
+
+// Write the distribution and register its cumulative amount, after applying
+// the given changes to a copy of it
+function writeDist(tamper = () => {}) {
+  const merkleDist = JSON.parse(JSON.stringify(dist))
+  tamper(merkleDist)
+  fs.mkdirSync(getDistPath(date), { recursive: true })
+  fs.writeFileSync(
+    path.join(getDistPath(date), "MerkleDist.json"),
+    JSON.stringify(merkleDist)
+  )
+  fs.writeFileSync(
+    DISTRIBUTIONS_FILE_PATH,
+    JSON.stringify({
+      CumulativeAmountByDistribution: { [date]: dist.totalAmount },
+    })
+  )
+}
+
+describe("Distribution verification", function () {
+  it("should verify the latest distribution", function () {
+    const report = verifyMerkleDist(getLatestDistribution())
+
+    expect(report.valid).to.be.true
+  })
+
+  describe("with tampered distributions", function () {
+    const cwd = process.cwd()
+
+    before(function () {
+      process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "verify-dist-")))
+    })
+
+    after(function () {
+      process.chdir(cwd)
+    })
+
+    it("should verify a valid distribution", function () {
+      writeDist()
+
+      const report = verifyMerkleDist(date)
+
+      expect(report.claims).to.equal(2)
+      expect(report.invalidProofs).to.be.empty
+      expect(report.totalAmount.matches).to.be.true
+      expect(report.cumulativeAmount.matches).to.be.true
+      expect(report.valid).to.be.true
+    })
+
+    it("should detect a tampered proof", function () {
+      writeDist((merkleDist) => {
+        merkleDist.claims[stakingProvider1].proof[0] = dist.merkleRoot
+      })
+
+      const report = verifyMerkleDist(date)
+
+      expect(report.invalidProofs).to.deep.equal([stakingProvider1])
+      expect(report.valid).to.be.false
+    })
+
+    it("should detect a tampered Merkle root", function () {
+      writeDist((merkleDist) => {
+        merkleDist.merkleRoot = dist.claims[stakingProvider1].proof[0]
+      })
+
+      const report = verifyMerkleDist(date)
+
+      expect(report.invalidProofs).to.deep.equal([
+        stakingProvider1,
+        stakingProvider2,
+      ])
+      expect(report.valid).to.be.false
+    })
+
+    it("should detect a tampered total amount", function () {
+      writeDist((merkleDist) => {
+        merkleDist.totalAmount = "2000"
+      })
+
+      const report = verifyMerkleDist(date)
+
+      expect(report.invalidProofs).to.be.empty
+      expect(report.totalAmount).to.deep.equal({
+        declared: "2000",
+        sumOfClaims: "1500",
+        matches: false,
+      })
+      expect(report.cumulativeAmount.matches).to.be.false
+      expect(report.valid).to.be.false
+    })
+  })
+})
@@ -0,0 +1,53 @@
+const { expect } = require("chai")
+const { describe, it, afterEach } = require("mocha")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+
+const { deployClaimFixture, runTask } = require("./utils")
+const {
+  getLatestDistribution,
+  readDistFile,
+} = require("../src/scripts/utils/distributions")
+
+describe("verify-distribution", function () {
+  afterEach(function () {
+    process.exitCode = undefined
+  })
+
+  it("should verify the distribution set in the contract", async function () {
+    const { token, rewardsHolder, rewardsAggregator } = await loadFixture(
+      deployClaimFixture
+    )
+    const localDist = readDistFile(getLatestDistribution(), "MerkleDist.json")
+    await rewardsAggregator.setMerkleRoot(localDist.merkleRoot)
+    await token.mint(rewardsHolder.address, localDist.totalAmount)
+    await token
+      .connect(rewardsHolder)
+      .approve(rewardsAggregator.address, localDist.totalAmount)
+
+    const output = await runTask("verify-distribution", {
+      address: rewardsAggregator.address,
+      json: true,
+    })
+
+    const report = JSON.parse(output.join("\n"))
+    expect(report.contract.name).to.equal("RewardsAggregator")
+    expect(report.merkleRoot.matches).to.be.true
+    expect(report.liability).to.equal(localDist.totalAmount)
+    expect(report.valid).to.be.true
+    expect(process.exitCode).to.be.undefined
+  })
+
+  it("should fail if the Merkle root doesn't match", async function () {
+    const { rewardsAggregator } = await loadFixture(deployClaimFixture)
+
+    const output = await runTask("verify-distribution", {
+      address: rewardsAggregator.address,
+      json: true,
+    })
+
+    const report = JSON.parse(output.join("\n"))
+    expect(report.merkleRoot.matches).to.be.false
+    expect(report.valid).to.be.false
+    expect(process.exitCode).to.equal(1)
+  })
+})
@@ -1,7 +1,22 @@
-const { ethers } = require("hardhat")
+const hre = require("hardhat")
 const { MerkleTree } = require("merkletreejs")
 const keccak256 = require("keccak256")
 
+const { genMerkleDist } = require("../src/scripts/utils/merkle_dist")
+
+const { ethers } = hre
+
+// Accounts of the distribution claimed by the claim tasks tests
+const claimAccounts = {
+  stakingProvider1: "0x2f9e94217C3f3493A2E65676E0F409fF5642A9AC",
+  stakingProvider2: "0x005511deD6Aa2012DaE1307290779ED52639cCee",
+  stakingProvider3: "0x9eeE3a95f91b23f2bC186B5977E2fC9d4636a229",
+  beneficiary: "0xF9246a85Be225910db96777CcED7A9f8aa163c68",
+  otherBeneficiary: "0x7E4F9A6B0e4d6BA2E4B2c8a40F5b5E0D5a0c6F1B",
+}
+// Rewards sent by the application mock on every withdrawal
+const APP_REWARDS = 10000
+
 function genMerkleLeaf(account, beneficiary, amount) {
   const amountHex = ethers.BigNumber.from(amount).toHexString()
   const leaf =
@@ -49,4 +64,66 @@ async function deployContractsFixture() {
   }
 }
 
-module.exports = { genMerkleLeaf, onlyUnique, deployContractsFixture }
+// Two stakes share the beneficiary so they can be claimed together
+const claimDist = genMerkleDist({
+  [claimAccounts.stakingProvider1]: {
+    beneficiary: claimAccounts.beneficiary,
+    amount: "1000000",
+  },
+  [claimAccounts.stakingProvider2]: {
+    beneficiary: claimAccounts.beneficiary,
+    amount: "2000000",
+  },
+  [claimAccounts.stakingProvider3]: {
+    beneficiary: claimAccounts.otherBeneficiary,
+    amount: "3000000",
+  },
+})
+
+// Contracts with the claim distribution set and funded, and the application
+// mock funded to pay the app rewards
+async function deployClaimFixture() {
+  const contracts = await deployContractsFixture()
+  const {
+    token,
+    application,
+    rewardsHolder,
+    oldCumulativeMerkleDrop,
+    rewardsAggregator,
+  } = contracts
+  await token.mint(rewardsHolder.address, claimDist.totalAmount)
+  await token.mint(application.address, 100 * APP_REWARDS)
+  for (const contract of [oldCumulativeMerkleDrop, rewardsAggregator]) {
+    await token
+      .connect(rewardsHolder)
+      .approve(contract.address, claimDist.totalAmount)
+    await contract.setMerkleRoot(claimDist.merkleRoot)
+  }
+  return contracts
+}
+
+// Run a task returning what it printed in the console, warnings included
+async function runTask(name, args) {
+  const { log, warn } = console
+  const output = []
+  console.log = (...messages) => output.push(messages.join(" "))
+  console.warn = console.log
+  try {
+    await hre.run(name, args)
+  } finally {
+    console.log = log
+    console.warn = warn
+  }
+  return output
+}
+
+module.exports = {
+  genMerkleLeaf,
+  onlyUnique,
+  deployContractsFixture,
+  claimAccounts,
+  claimDist,
+  APP_REWARDS,
+  deployClaimFixture,
+  runTask,
+}